@@ -5,6 +5,8 @@
 
 import plugin from '../plugin.json';
 import { PhpIndexer } from './phpIndexer';
+import { PluginYml } from './pluginYml';
+import { PluginScaffold } from './pluginScaffold';
 
 /**
  * @type {import('../types').PluginObject}
@@ -21,8 +23,14 @@ class PocketMineIDE {
      */
     this.currentSettings = {
       pocketMinePath: null,
+      libraryPaths: [],
+      indexProjectFolders: true,
+      rootOptions: {},
       autoIndex: true,
       showCompletionInfo: true,
+      signatureHelp: true,
+      diagnostics: true,
+      overrideAttribute: false,
       maxCompletionItems: 50
     };
     
@@ -31,10 +39,44 @@ class PocketMineIDE {
      */
     this.indexer = null;
     
+    /**
+     * plugin.yml completion and validation
+     */
+    this.pluginYml = null;
+    
     /**
      * Current settings dialog
      */
     this.settingsDialog = null;
+    
+    /**
+     * Documentation popup currently shown
+     */
+    this.tooltip = null;
+    
+    /**
+     * Signature help popup and its update timer
+     */
+    this.signaturePopup = null;
+    this.signatureTimer = null;
+    
+    /**
+     * Timer for feeding edited buffers to the index
+     */
+    this.reindexTimer = null;
+    
+    /**
+     * Indexing state, a request made while indexing runs once it finishes
+     */
+    this.indexing = false;
+    this.indexQueued = false;
+    this.indexTimer = null;
+    
+    /**
+     * Outline of the active file shown on the plugin page
+     */
+    this.outlineList = null;
+    this.outlineVisible = false;
   }
   
   /**
@@ -53,6 +95,10 @@ class PocketMineIDE {
     
     // Initialize the indexer
     this.indexer = new PhpIndexer();
+    this.pluginYml = new PluginYml(this.indexer);
+    
+    // Restore the index saved by the previous session
+    await this.loadIndexCache();
     
     // Register completion provider
     this.registerCompletionProvider();
@@ -60,12 +106,71 @@ class PocketMineIDE {
     // Add commands to editor
     this.registerEditorCommands();
     
-    // Auto-index if path is set and auto-index is enabled
-    if (this.currentSettings.pocketMinePath && this.currentSettings.autoIndex) {
+    // Show call signatures while typing arguments
+    this.registerSignatureHelp();
+    
+    // Keep the index up to date with edited files
+    this.registerFileEvents();
+    
+    // Auto-index if a root is set and auto-index is enabled
+    if (this.getEnabledRoots().length && this.currentSettings.autoIndex) {
       this.indexPhpFiles();
     }
   }
   
+  /**
+   * Collect the index roots: the PocketMine source, the project folders open
+   * in the sidebar and the extra library folders. Roots with a higher
+   * priority win when two roots declare the same class.
+   * @returns {Array<{path: string, kind: string, label: string, enabled: boolean, priority: number}>} Index roots
+   */
+  getIndexRoots() {
+    const { pocketMinePath, libraryPaths, indexProjectFolders, rootOptions } = this.currentSettings;
+    const roots = [];
+    
+    const addRoot = (path, kind, label, priority) => {
+      if (!path || roots.some(root => root.path === path)) return;
+      const options = rootOptions[path] || {};
+      roots.push({
+        path,
+        kind,
+        label,
+        enabled: options.enabled !== false,
+        priority: options.priority ?? priority
+      });
+    };
+    
+    if (indexProjectFolders) {
+      for (const folder of window.addedFolder || []) {
+        addRoot(folder.url, 'project', folder.title || folder.url, 30);
+      }
+    }
+    addRoot(pocketMinePath, 'pocketmine', 'PocketMine source', 20);
+    for (const path of libraryPaths) {
+      addRoot(path, 'library', path, 10);
+    }
+    
+    return roots;
+  }
+  
+  /**
+   * Index roots that are switched on
+   * @returns {Array<object>} Enabled index roots
+   */
+  getEnabledRoots() {
+    return this.getIndexRoots().filter(root => root.enabled);
+  }
+  
+  /**
+   * Index again shortly after the sidebar folders change
+   */
+  scheduleIndex() {
+    if (!this.currentSettings.autoIndex || !this.currentSettings.indexProjectFolders) return;
+    
+    clearTimeout(this.indexTimer);
+    this.indexTimer = setTimeout(() => this.indexPhpFiles(), 2000);
+  }
+  
   /**
    * Load settings from cache file
    */
@@ -95,6 +200,58 @@ class PocketMineIDE {
     }
   }
 
+  /**
+   * URL of the stored index, next to the settings cache file
+   * @returns {string|null} Index cache URL
+   */
+  getIndexCacheUrl() {
+    return this.cacheFileUrl ? `${this.cacheFileUrl}.index.json` : null;
+  }
+  
+  /**
+   * Load the index saved by a previous session
+   */
+  async loadIndexCache() {
+    const url = this.getIndexCacheUrl();
+    if (!url) return;
+    
+    try {
+      const fs = acode.require('fs');
+      const file = fs(url);
+      if (await file.exists()) {
+        const data = await file.readFile('utf8');
+        if (data && this.indexer.loadSerializedIndex(data)) {
+          this.updateIndexStatus('Loaded from cache');
+        }
+      }
+    } catch (error) {
+      console.error('Failed to load index cache:', error);
+    }
+  }
+  
+  /**
+   * Save the index so the next session can skip unchanged files
+   */
+  async saveIndexCache() {
+    const url = this.getIndexCacheUrl();
+    if (!url) return;
+    
+    try {
+      const fs = acode.require('fs');
+      const data = this.indexer.serializeIndex();
+      const file = fs(url);
+      
+      if (await file.exists()) {
+        await file.writeFile(data);
+      } else {
+        const slash = url.lastIndexOf('/');
+        await fs(url.substring(0, slash)).createFile(url.substring(slash + 1), data);
+      }
+    } catch (error) {
+      console.error('Failed to save index cache:', error);
+    }
+  }
+  
   /**
    * Handle settings changes from Acode settings UI
    */
@@ -103,7 +260,7 @@ class PocketMineIDE {
     this.saveSettings();
     
     // Handle specific setting changes
-    if (key === 'pocketMinePath' && value && this.currentSettings.autoIndex) {
+    if ((key === 'pocketMinePath' || key === 'libraryPaths') && value && this.currentSettings.autoIndex) {
       this.indexPhpFiles();
     }
   }
@@ -123,7 +280,7 @@ class PocketMineIDE {
             <label for="pocketMinePath">PocketMine Source Path</label>
             <div class="pmide-input-group">
               <input type="text" id="pocketMinePath" 
-                     value="${this.currentSettings.pocketMinePath || ''}" 
+                     value="${this.escapeHtml(this.currentSettings.pocketMinePath || '')}" 
                      placeholder="Select PocketMine source directory" readonly>
               <button type="button" id="browsePocketMinePath" class="pmide-btn">Browse</button>
             </div>
@@ -148,6 +305,33 @@ class PocketMineIDE {
             <small>Display additional information in code completion popup</small>
           </div>
           
+          <div class="pmide-field">
+            <label class="pmide-checkbox">
+              <input type="checkbox" id="signatureHelp" ${this.currentSettings.signatureHelp ? 'checked' : ''}>
+              <span class="checkmark"></span>
+              Show signature help
+            </label>
+            <small>Display the parameters of the called method while typing arguments</small>
+          </div>
+          
+          <div class="pmide-field">
+            <label class="pmide-checkbox">
+              <input type="checkbox" id="diagnostics" ${this.currentSettings.diagnostics ? 'checked' : ''}>
+              <span class="checkmark"></span>
+              Show diagnostics
+            </label>
+            <small>Mark unknown classes, constants and methods in the gutter</small>
+          </div>
+          
+          <div class="pmide-field">
+            <label class="pmide-checkbox">
+              <input type="checkbox" id="overrideAttribute" ${this.currentSettings.overrideAttribute ? 'checked' : ''}>
+              <span class="checkmark"></span>
+              Mark overrides with #[\Override]
+            </label>
+            <small>Add the attribute to generated overrides, requires PHP 8.3</small>
+          </div>
+          
           <div class="pmide-field">
             <label for="maxCompletionItems">Max Completion Items</label>
             <input type="number" id="maxCompletionItems" 
@@ -156,6 +340,31 @@ class PocketMineIDE {
           </div>
         </div>
         
+        <div class="pmide-section">
+          <h3>Index Roots</h3>
+          
+          <div class="pmide-field">
+            <label class="pmide-checkbox">
+              <input type="checkbox" id="indexProjectFolders" ${this.currentSettings.indexProjectFolders ? 'checked' : ''}>
+              <span class="checkmark"></span>
+              Index project folders
+            </label>
+            <small>Index the folders open in the sidebar so your own classes complete</small>
+          </div>
+          
+          <div id="indexRoots">
+            ${this.getIndexRoots().map(root => this.renderIndexRoot(root)).join('')}
+          </div>
+          <small class="pmide-hint">Roots with a higher priority win when two roots declare the same class</small>
+          
+          <div class="pmide-actions">
+            <button type="button" id="addLibraryPath" class="pmide-btn">
+              <i class="icon add"></i>
+              Add Library Folder
+            </button>
+          </div>
+        </div>
+        
         <div class="pmide-section">
           <h3>Actions</h3>
           <div class="pmide-actions">
@@ -339,6 +548,48 @@ class PocketMineIDE {
           flex-wrap: wrap;
         }
         
+        .pmide-root {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 0;
+          border-bottom: 1px solid var(--border-color, #dee2e6);
+        }
+        
+        .pmide-root-info {
+          flex: 1;
+          min-width: 0;
+        }
+        
+        .pmide-root-label {
+          display: block;
+          font-weight: 500;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        
+        .pmide-root-kind {
+          font-size: 12px;
+          color: var(--secondary-text-color, #666);
+        }
+        
+        .pmide-root .pmide-root-priority {
+          width: 60px;
+          padding: 4px 6px;
+          border: 1px solid var(--border-color, #ccc);
+          border-radius: 4px;
+          background: var(--primary-color, #fff);
+          color: var(--primary-text-color, #333);
+        }
+        
+        .pmide-hint {
+          display: block;
+          margin: 8px 0 12px 0;
+          color: var(--secondary-text-color, #666);
+          font-size: 12px;
+        }
+        
         .pmide-status {
           padding: 12px;
           background: var(--primary-color, #fff);
@@ -398,6 +649,28 @@ class PocketMineIDE {
     return this.settingsDialog;
   }
   
+  /**
+   * Settings row for one index root
+   * @param {object} root Index root from getIndexRoots
+   * @returns {string} Row HTML
+   */
+  renderIndexRoot(root) {
+    const kinds = { project: 'Project folder', pocketmine: 'PocketMine source', library: 'Library' };
+    const path = this.escapeHtml(root.path);
+    
+    return `
+      <div class="pmide-root" data-path="${path}" data-kind="${root.kind}">
+        <input type="checkbox" class="pmide-root-enabled" ${root.enabled ? 'checked' : ''}>
+        <div class="pmide-root-info">
+          <span class="pmide-root-label" title="${path}">${this.escapeHtml(root.label)}</span>
+          <span class="pmide-root-kind">${kinds[root.kind]}</span>
+        </div>
+        <input type="number" class="pmide-root-priority" value="${root.priority}" title="Priority">
+        ${root.kind === 'library' ? '<button type="button" class="pmide-btn pmide-btn-warning pmide-remove-root">Remove</button>' : ''}
+      </div>
+    `;
+  }
+  
   /**
    * Handle clicks within the settings dialog
    */
@@ -409,6 +682,16 @@ class PocketMineIDE {
       this.browsePocketMinePath();
     }
     
+    // Add library folder button
+    if (target.id === 'addLibraryPath') {
+      this.browseLibraryPath();
+    }
+    
+    // Remove library folder button
+    if (target.classList.contains('pmide-remove-root')) {
+      target.closest('.pmide-root')?.remove();
+    }
+    
     // Index now button
     if (target.id === 'indexNow') {
       this.indexPhpFiles();
@@ -441,6 +724,29 @@ class PocketMineIDE {
     }
   }
   
+  /**
+   * Browse for an extra library folder and add it to the root list
+   */
+  async browseLibraryPath() {
+    try {
+      const fileBrowser = acode.require('fileBrowser');
+      const result = await fileBrowser('folder', 'Select library directory');
+      
+      const list = document.querySelector('#indexRoots');
+      if (result && result.url && list && !list.querySelector(`[data-path="${CSS.escape(result.url)}"]`)) {
+        list.insertAdjacentHTML('beforeend', this.renderIndexRoot({
+          path: result.url,
+          kind: 'library',
+          label: result.url,
+          enabled: true,
+          priority: 10
+        }));
+      }
+    } catch (error) {
+      console.log('Folder selection cancelled');
+    }
+  }
+  
   /**
    * Clear the PHP index
    */
@@ -456,6 +762,7 @@ class PocketMineIDE {
     
     confirmDialog.ok(() => {
       this.indexer.clearIndex();
+      this.saveIndexCache();
       this.updateIndexStatus('Index cleared');
       this.showNotification('Index Cleared', 'Index cleared successfully', { type: 'success' });
     });
@@ -470,14 +777,51 @@ class PocketMineIDE {
       const pocketMinePath = document.querySelector('#pocketMinePath')?.value || null;
       const autoIndex = document.querySelector('#autoIndex')?.checked || false;
       const showCompletionInfo = document.querySelector('#showCompletionInfo')?.checked || false;
+      const signatureHelp = document.querySelector('#signatureHelp')?.checked || false;
+      const diagnostics = document.querySelector('#diagnostics')?.checked || false;
+      const overrideAttribute = document.querySelector('#overrideAttribute')?.checked || false;
+      const indexProjectFolders = document.querySelector('#indexProjectFolders')?.checked || false;
       const maxCompletionItems = parseInt(document.querySelector('#maxCompletionItems')?.value) || 50;
       
+      // Collect the options of the index roots shown in the dialog
+      const libraryPaths = [];
+      const rootOptions = { ...this.currentSettings.rootOptions };
+      for (const row of document.querySelectorAll('#indexRoots .pmide-root')) {
+        const path = row.dataset.path;
+        const priority = parseInt(row.querySelector('.pmide-root-priority')?.value);
+        rootOptions[path] = {
+          enabled: row.querySelector('.pmide-root-enabled')?.checked || false,
+          priority: isNaN(priority) ? undefined : priority
+        };
+        if (row.dataset.kind === 'library') {
+          libraryPaths.push(path);
+        }
+      }
+      
+      // Library folders removed in the dialog
+      const removedPaths = this.currentSettings.libraryPaths.filter(path => !libraryPaths.includes(path));
+      
       // Update settings
       this.currentSettings.pocketMinePath = pocketMinePath;
       this.currentSettings.autoIndex = autoIndex;
       this.currentSettings.showCompletionInfo = showCompletionInfo;
+      this.currentSettings.signatureHelp = signatureHelp;
+      this.currentSettings.diagnostics = diagnostics;
+      this.currentSettings.overrideAttribute = overrideAttribute;
+      this.currentSettings.indexProjectFolders = indexProjectFolders;
+      this.currentSettings.libraryPaths = libraryPaths;
+      this.currentSettings.rootOptions = rootOptions;
       this.currentSettings.maxCompletionItems = maxCompletionItems;
       
+      // Forget the options of removed library folders. Closed project
+      // folders keep theirs for when they are opened again.
+      const roots = new Set(this.getIndexRoots().map(root => root.path));
+      for (const path of removedPaths) {
+        if (!roots.has(path)) {
+          delete rootOptions[path];
+        }
+      }
+      
       // Save to storage
       this.saveSettings();
       
@@ -498,6 +842,38 @@ class PocketMineIDE {
     }
   }
   
+  /**
+   * Check whether an editor file is a PHP file
+   * @param {object} file Acode editor file
+   * @returns {boolean} True for .php files
+   */
+  isPhpFile(file) {
+    return !!file && file.filename.endsWith('.php');
+  }
+  
+  /**
+   * Get the active file if the indexer can work on it
+   * @returns {object|null} Active PHP file, or null
+   */
+  getActivePhpFile() {
+    const { activeFile } = editorManager;
+    return this.indexer && this.isPhpFile(activeFile) ? activeFile : null;
+  }
+  
+  /**
+   * Escape text for use in HTML content and attribute values
+   * @param {string} text Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
   /**
    * Show notification using Acode's toast
    */
@@ -560,6 +936,22 @@ class PocketMineIDE {
       exec: () => this.createSettingsUI()
     });
     
+    // Command to jump to the definition under the cursor
+    editor.commands.addCommand({
+      name: "pmide_goto_definition",
+      description: "Go to PHP Definition",
+      bindKey: { win: "Ctrl-Alt-B", mac: "Cmd-Alt-B" },
+      exec: () => this.goToDefinition()
+    });
+    
+    // Command to show documentation for the symbol under the cursor
+    editor.commands.addCommand({
+      name: "pmide_show_documentation",
+      description: "Show PHP Documentation",
+      bindKey: { win: "Ctrl-Alt-H", mac: "Cmd-Alt-H" },
+      exec: () => this.showDocumentation()
+    });
+    
     // Command to manually index PHP files
     editor.commands.addCommand({
       name: "pmide_index_files",
@@ -574,105 +966,1366 @@ class PocketMineIDE {
       description: "Clear PHP Index",
       exec: () => this.clearIndex()
     });
-  }
-  
-  /**
-   * Register the completion provider for PHP files
-   */
-  registerCompletionProvider() {
-    const editor = editorManager.editor;
     
-    // Register completion provider for PHP files
-    editor.completers = editor.completers || [];
-    editor.completers.push({
-      getCompletions: (editor, session, pos, prefix, callback) => {
-        // Only provide completions for PHP files
-        const activeFile = editorManager.activeFile;
-        if (!activeFile || !activeFile.filename.endsWith('.php')) {
-          callback(null, []);
-          return;
-        }
-        
-        // Get the current line
-        const line = session.getLine(pos.row);
-        
-        // Get completions from the indexer
-        const completions = this.getCompletions(line, prefix, pos);
-        
-        // Limit completions based on settings
-        const limitedCompletions = completions.slice(0, this.currentSettings.maxCompletionItems);
-        
-        callback(null, limitedCompletions);
-      }
+    // Command to add a handler for an indexed event
+    editor.commands.addCommand({
+      name: "pmide_add_event_handler",
+      description: "Add Event Handler",
+      exec: () => this.showEventPicker()
+    });
+    
+    // Command to clean up the use statements of the current file
+    editor.commands.addCommand({
+      name: "pmide_organize_imports",
+      description: "Organize PHP Imports",
+      bindKey: { win: "Ctrl-Alt-O", mac: "Cmd-Alt-O" },
+      exec: () => this.organizeImports()
+    });
+    
+    // Command to add stubs for the abstract methods of the current class
+    editor.commands.addCommand({
+      name: "pmide_implement_methods",
+      description: "Implement Abstract Methods",
+      exec: () => this.implementMethods()
+    });
+    
+    // Command to override a method of the parent classes
+    editor.commands.addCommand({
+      name: "pmide_override_method",
+      description: "Override Parent Method",
+      exec: () => this.showOverridePicker()
+    });
+    
+    // Command to generate a constructor, getters and setters
+    editor.commands.addCommand({
+      name: "pmide_generate_accessors",
+      description: "Generate Constructor, Getters and Setters",
+      exec: () => this.showAccessorDialog()
+    });
+    
+    // Command to search the symbols of all indexed files
+    editor.commands.addCommand({
+      name: "pmide_workspace_symbols",
+      description: "Go to Symbol in Workspace",
+      bindKey: { win: "Ctrl-Alt-N", mac: "Cmd-Alt-N" },
+      exec: () => this.showSymbolSearch()
+    });
+    
+    // Command to list the uses of the symbol under the cursor
+    editor.commands.addCommand({
+      name: "pmide_find_references",
+      description: "Find All References",
+      bindKey: { win: "Ctrl-Alt-R", mac: "Cmd-Alt-R" },
+      exec: () => this.findReferences()
+    });
+    
+    // Command to show the structure of the current file
+    editor.commands.addCommand({
+      name: "pmide_show_outline",
+      description: "Show File Outline",
+      bindKey: { win: "Ctrl-Alt-U", mac: "Cmd-Alt-U" },
+      exec: () => this.showOutline()
+    });
+    
+    // Command to create a new plugin skeleton
+    editor.commands.addCommand({
+      name: "pmide_new_plugin",
+      description: "New PocketMine Plugin",
+      exec: () => this.showNewPluginDialog()
     });
   }
   
   /**
-   * Get completions based on the current context
-   * @param {string} line Current line text
-   * @param {string} prefix Current prefix
-   * @param {object} pos Current position
-   * @returns {Array} Array of completion items
+   * List the indexed events and add a handler for the chosen one
    */
-  getCompletions(line, prefix, pos) {
-    if (!this.indexer) return [];
+  showEventPicker() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
     
-    // Check for different contexts
-    const classMatch = /new\s+(\w+)(\\\w+)*/.exec(line);
-    const useMatch = /use\s+(\w+)(\\\w+)*/.exec(line);
-    const methodMatch = /->(\w+)/.exec(line);
-    const staticMatch = /::(\w+)/.exec(line);
-    
-    if (classMatch) {
-      // Class instantiation
-      return this.indexer.getClassCompletions(prefix);
-    } else if (useMatch) {
-      // Use statement
-      return this.indexer.getNamespaceCompletions(prefix);
-    } else if (methodMatch) {
-      // Method call
-      return this.indexer.getMethodCompletions(prefix);
-    } else if (staticMatch) {
-      // Static method call
-      return this.indexer.getStaticMethodCompletions(prefix);
+    const events = this.indexer.getEventClasses();
+    if (!events.length) {
+      this.showNotification('Add Event Handler', 'No events indexed, index the PocketMine source first', { type: 'info' });
+      return;
     }
     
-    // Default completions (classes, functions)
-    return this.indexer.getDefaultCompletions(prefix);
+    const palette = acode.require('palette');
+    palette(
+      () => events.map(({ classData, cancellable }) => ({
+        value: classData.fullName,
+        text: `${classData.name}${cancellable ? ' (cancellable)' : ''} - ${classData.namespace}`
+      })),
+      (eventName) => this.insertEventHandler(eventName),
+      'Search events'
+    );
   }
   
   /**
-   * Index PHP files
+   * Add a handler for an event to the class being edited
+   * @param {string} eventName Fully qualified event class name
    */
-  async indexPhpFiles() {
-    const pocketMinePath = this.currentSettings.pocketMinePath;
+  insertEventHandler(eventName) {
+    const { editor } = editorManager;
+    const { session } = editor;
+    const context = this.getEditorContext(session, editor.getCursorPosition());
+    const plan = this.indexer.planEventHandler(context, eventName, session.getTabString());
     
-    if (!pocketMinePath) {
-      const alertDialog = this.showAlert(
-        'PocketMine Path Not Set',
-        'Please set the PocketMine path in the plugin settings first.'
-      );
-      
-      alertDialog.ok(() => {
-        this.createSettingsUI();
-      });
+    if (!plan) {
+      this.showNotification('Add Event Handler', 'No class found in this file', { type: 'info' });
       return;
     }
     
-    this.updateIndexStatus('Indexing...');
-    this.showNotification('Indexing', 'Indexing PHP files...', { type: 'info' });
-    
+    this.applyEdits(session, plan.edits);
+    editor.moveCursorToPosition(session.doc.indexToPosition(plan.cursorOffset));
+    editor.focus();
+  }
+  
+  /**
+   * Add stubs for the abstract and interface methods the class being
+   * edited does not implement yet
+   */
+  implementMethods() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    const { editor } = editorManager;
+    const { session } = editor;
+    const context = this.getEditorContext(session, editor.getCursorPosition());
+    const plan = this.indexer.planImplementMethods(context, session.getTabString());
+    
+    if (!plan) {
+      this.showNotification('Implement Methods', 'No class found in this file', { type: 'info' });
+      return;
+    }
+    if (!plan.methods.length) {
+      this.showNotification('Implement Methods', 'All abstract methods are implemented', { type: 'info' });
+      return;
+    }
+    
+    this.applyEdits(session, plan.edits);
+    editor.moveCursorToPosition(session.doc.indexToPosition(plan.cursorOffset));
+    editor.focus();
+    this.showNotification('Implement Methods', `Added ${plan.methods.join('(), ')}()`, { type: 'success' });
+  }
+  
+  /**
+   * List the methods the class being edited can override and add an
+   * override for the chosen one
+   */
+  showOverridePicker() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    const { editor } = editorManager;
+    const context = this.getEditorContext(editor.session, editor.getCursorPosition());
+    const document = this.indexer.parseDocument(context.source, context.file);
+    const declaration = this.indexer.findClassDeclaration(document, context.offset);
+    const methods = declaration?.classData ? this.indexer.getOverridableMethods(declaration.classData) : [];
+    
+    if (!methods.length) {
+      this.showNotification('Override Method', declaration ? 'No parent methods to override' : 'No class found in this file', { type: 'info' });
+      return;
+    }
+    
+    const palette = acode.require('palette');
+    palette(
+      () => methods.map(methodData => ({
+        value: methodData.name,
+        text: `${methodData.name}(${this.indexer.formatParameters(methodData.parameters).signature}) - ${methodData.class}`
+      })),
+      (methodName) => this.overrideMethod(methodName),
+      'Search methods'
+    );
+  }
+  
+  /**
+   * Add an override of a parent method to the class being edited
+   * @param {string} methodName Name of the method to override
+   */
+  overrideMethod(methodName) {
+    const { editor } = editorManager;
+    const { session } = editor;
+    const context = this.getEditorContext(session, editor.getCursorPosition());
+    const plan = this.indexer.planOverrideMethods(context, [methodName], session.getTabString(), {
+      attribute: this.currentSettings.overrideAttribute
+    });
+    if (!plan || !plan.methods.length) return;
+    
+    this.applyEdits(session, plan.edits);
+    editor.moveCursorToPosition(session.doc.indexToPosition(plan.cursorOffset));
+    editor.focus();
+  }
+  
+  /**
+   * Let the user pick the properties of the class being edited to generate
+   * a constructor, getters and setters for
+   */
+  showAccessorDialog() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    const { editor } = editorManager;
+    const context = this.getEditorContext(editor.session, editor.getCursorPosition());
+    const phpDocument = this.indexer.parseDocument(context.source, context.file);
+    const declaration = this.indexer.findClassDeclaration(phpDocument, context.offset);
+    const properties = declaration?.classData ? this.indexer.getAccessorProperties(declaration.classData) : [];
+    
+    if (!properties.length) {
+      this.showNotification('Generate Accessors', declaration ? 'The class has no instance properties' : 'No class found in this file', { type: 'info' });
+      return;
+    }
+    
+    const DialogBox = acode.require('dialogBox');
+    const constructor = this.indexer.findMethod(declaration.classData, '__construct');
+    const hasConstructor = !!constructor && !constructor.inherited;
+    const rows = properties.map((propertyData, i) => {
+      const names = this.indexer.getAccessorNames(propertyData);
+      const readonly = propertyData.modifiers.has('readonly');
+      return `
+        <tr>
+          <td>${this.escapeHtml(propertyData.type || '')} $${propertyData.name}</td>
+          <td><input type="checkbox" data-kind="parameters" data-index="${i}" ${hasConstructor ? 'disabled' : 'checked'}></td>
+          <td><input type="checkbox" data-kind="getters" data-index="${i}" title="${names.getter}()" checked></td>
+          <td><input type="checkbox" data-kind="setters" data-index="${i}" title="${names.setter}()" ${readonly ? 'disabled' : 'checked'}></td>
+        </tr>`;
+    }).join('');
+    
+    const formHTML = `
+      <div class="pmide-accessors">
+        <table>
+          <tr><th>Property</th><th>Constructor</th><th>Getter</th><th>Setter</th></tr>
+          ${rows}
+        </table>
+        <label>
+          <input type="checkbox" id="pmideAccessorsPromote" ${hasConstructor ? 'disabled' : ''}>
+          Declare constructor parameters as promoted properties
+        </label>
+        ${hasConstructor ? '<small>The class already has a constructor</small>' : ''}
+      </div>
+      
+      <style>
+        .pmide-accessors table {
+          width: 100%;
+          border-collapse: collapse;
+          margin-bottom: 10px;
+        }
+        
+        .pmide-accessors th,
+        .pmide-accessors td {
+          padding: 4px;
+          text-align: center;
+        }
+        
+        .pmide-accessors th:first-child,
+        .pmide-accessors td:first-child {
+          text-align: left;
+          font-family: monospace;
+        }
+        
+        .pmide-accessors small {
+          display: block;
+          margin-top: 5px;
+          color: var(--secondary-text-color, #666);
+        }
+      </style>
+    `;
+    
+    const dialog = DialogBox('Generate Accessors', formHTML, 'Generate', 'Cancel');
+    
+    dialog.ok(() => {
+      const selection = { parameters: [], getters: [], setters: [] };
+      document.querySelectorAll('.pmide-accessors input[data-kind]:checked:not(:disabled)').forEach(input => {
+        selection[input.dataset.kind].push(properties[input.dataset.index].name);
+      });
+      selection.promote = document.querySelector('#pmideAccessorsPromote')?.checked || false;
+      
+      this.generateAccessors(selection);
+    });
+  }
+  
+  /**
+   * Add a constructor, getters and setters to the class being edited
+   * @param {object} selection Property names for the constructor, getters and setters, and the promote flag
+   */
+  generateAccessors(selection) {
+    const { editor } = editorManager;
+    const { session } = editor;
+    const context = this.getEditorContext(session, editor.getCursorPosition());
+    const plan = this.indexer.planAccessors(context, selection, session.getTabString());
+    
+    if (!plan || !plan.methods.length) {
+      this.showNotification('Generate Accessors', 'Nothing to generate', { type: 'info' });
+      return;
+    }
+    
+    this.applyEdits(session, plan.edits);
+    editor.moveCursorToPosition(session.doc.indexToPosition(plan.cursorOffset));
+    editor.focus();
+    this.showNotification('Generate Accessors', `Added ${plan.methods.join('(), ')}()`, { type: 'success' });
+  }
+  
+  /**
+   * Rewrite the use statements of the current file
+   */
+  organizeImports() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    const { editor } = editorManager;
+    const context = this.getEditorContext(editor.session, editor.getCursorPosition());
+    const plan = this.indexer.planOrganizeImports(context);
+    
+    if (!plan) {
+      this.showNotification('Organize Imports', 'The use statements are mixed with other code', { type: 'info' });
+      return;
+    }
+    
+    const { edit } = plan;
+    if (!edit || context.source.substring(edit.offset, edit.end ?? edit.offset) === edit.text) {
+      this.showNotification('Organize Imports', 'Imports are already organized', { type: 'info' });
+      return;
+    }
+    
+    this.applyEdits(editor.session, [edit]);
+    this.showNotification('Organize Imports', `${plan.removed} removed, ${plan.added} added`, { type: 'success' });
+  }
+  
+  /**
+   * Apply edits planned by the indexer, last offset first so the earlier
+   * offsets stay valid. Insertions at the same offset keep their order.
+   * @param {object} session Ace edit session
+   * @param {Array<{offset: number, end?: number, text: string}>} edits Insertions, or replacements when end is set
+   */
+  applyEdits(session, edits) {
+    const sorted = edits
+      .map((edit, index) => ({ ...edit, index }))
+      .sort((a, b) => b.offset - a.offset || b.index - a.index);
+    for (const edit of sorted) {
+      const start = session.doc.indexToPosition(edit.offset);
+      if (edit.end !== undefined) {
+        session.replace({ start, end: session.doc.indexToPosition(edit.end) }, edit.text);
+      } else {
+        session.insert(start, edit.text);
+      }
+    }
+  }
+  
+  /**
+   * Search the indexed classes, methods, functions and constants and open
+   * the chosen one
+   */
+  showSymbolSearch() {
+    if (!this.indexer || this.indexer.classes.size === 0) {
+      this.showNotification('Go to Symbol', 'No symbols indexed, index the PocketMine source first', { type: 'info' });
+      return;
+    }
+    
+    const DialogBox = acode.require('dialogBox');
+    const types = { '': 'All', class: 'Classes', method: 'Methods', function: 'Functions', constant: 'Constants' };
+    
+    const formHTML = `
+      <div class="pmide-symbols">
+        <input type="search" id="pmideSymbolQuery" placeholder="Search symbols" autocomplete="off">
+        <div class="pmide-symbol-types">
+          ${Object.entries(types).map(([type, label]) => `
+            <button type="button" class="pmide-symbol-type${type ? '' : ' active'}" data-type="${type}">${label}</button>
+          `).join('')}
+        </div>
+        <ul class="pmide-symbol-results"></ul>
+      </div>
+      
+      <style>
+        .pmide-symbols input[type="search"] {
+          width: 100%;
+          padding: 8px 12px;
+          border: 1px solid var(--border-color, #ccc);
+          border-radius: 4px;
+          box-sizing: border-box;
+          background: var(--primary-color, #fff);
+          color: var(--primary-text-color, #333);
+        }
+        
+        .pmide-symbol-types {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 6px;
+          margin: 10px 0;
+        }
+        
+        .pmide-symbol-type {
+          padding: 4px 10px;
+          border: 1px solid var(--border-color, #ccc);
+          border-radius: 12px;
+          background: transparent;
+          color: var(--primary-text-color, #333);
+          font-size: 12px;
+        }
+        
+        .pmide-symbol-type.active {
+          background: var(--accent-color, #007acc);
+          border-color: var(--accent-color, #007acc);
+          color: #fff;
+        }
+        
+        .pmide-symbol-results {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          max-height: 50vh;
+          overflow-y: auto;
+        }
+        
+        .pmide-symbol-results li {
+          display: flex;
+          justify-content: space-between;
+          gap: 8px;
+          padding: 8px 4px;
+          border-bottom: 1px solid var(--border-color, #eee);
+        }
+        
+        .pmide-symbol-name {
+          font-family: monospace;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        
+        .pmide-symbol-namespace {
+          flex-shrink: 0;
+          max-width: 45%;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          font-size: 12px;
+          color: var(--secondary-text-color, #666);
+        }
+      </style>
+    `;
+    
+    const dialog = DialogBox('Go to Symbol in Workspace', formHTML, 'Close');
+    const input = document.querySelector('#pmideSymbolQuery');
+    const list = document.querySelector('.pmide-symbol-results');
+    let type = '';
+    let results = [];
+    let timer = null;
+    
+    const render = () => {
+      results = this.indexer.search(input.value.trim(), type || null, 100);
+      list.innerHTML = results.map((result, i) => {
+        const label = result.class ? `${result.class}::${result.name}` : result.name;
+        const suffix = result.type === 'method' || result.type === 'function' ? '()' : '';
+        return `
+          <li data-index="${i}">
+            <span class="pmide-symbol-name">${label}${suffix} <small>${result.kind || result.type}</small></span>
+            <span class="pmide-symbol-namespace">${result.namespace || '\\'}</span>
+          </li>`;
+      }).join('') || '<li>No matching symbols</li>';
+    };
+    
+    // Searching every method on each key press is slow on phones
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(render, 150);
+    });
+    
+    dialog.onclick((e) => {
+      const chip = e.target.closest('.pmide-symbol-type');
+      if (chip) {
+        type = chip.dataset.type;
+        document.querySelectorAll('.pmide-symbol-type').forEach(button => button.classList.toggle('active', button === chip));
+        render();
+        return;
+      }
+      
+      const result = results[e.target.closest('li[data-index]')?.dataset.index];
+      if (result) {
+        dialog.hide();
+        this.openFileAtLine(result.file, result.line);
+      }
+    });
+    
+    dialog.onhide(() => clearTimeout(timer));
+    
+    render();
+    input.focus();
+  }
+  
+  /**
+   * Ask for the details of a new plugin
+   */
+  showNewPluginDialog() {
+    const DialogBox = acode.require('dialogBox');
+    const scaffold = new PluginScaffold(this.indexer);
+    
+    const formHTML = `
+      <div class="pmide-new-plugin">
+        <label for="pmideNewName">Plugin name</label>
+        <input type="text" id="pmideNewName" placeholder="MyPlugin">
+        <label for="pmideNewAuthor">Author</label>
+        <input type="text" id="pmideNewAuthor" placeholder="Your name">
+        <label for="pmideNewNamespace">Namespace</label>
+        <input type="text" id="pmideNewNamespace" placeholder="Author\\MyPlugin">
+        <label for="pmideNewApi">API version</label>
+        <input type="text" id="pmideNewApi" value="${scaffold.getDefaultApi()}">
+        <label class="pmide-new-plugin-check">
+          <input type="checkbox" id="pmideNewConfig" checked>
+          Create resources/config.yml
+        </label>
+      </div>
+      
+      <style>
+        .pmide-new-plugin label {
+          display: block;
+          margin: 10px 0 4px 0;
+          font-weight: 500;
+        }
+        
+        .pmide-new-plugin input[type="text"] {
+          width: 100%;
+          padding: 8px 12px;
+          border: 1px solid var(--border-color, #ccc);
+          border-radius: 4px;
+          box-sizing: border-box;
+          background: var(--primary-color, #fff);
+          color: var(--primary-text-color, #333);
+        }
+      </style>
+    `;
+    
+    const dialog = DialogBox('New PocketMine Plugin', formHTML, 'Create', 'Cancel');
+    
+    dialog.ok(() => {
+      const name = document.querySelector('#pmideNewName')?.value.trim() || '';
+      const author = document.querySelector('#pmideNewAuthor')?.value.trim() || '';
+      const namespace = document.querySelector('#pmideNewNamespace')?.value.trim() ||
+        [author, name].filter(Boolean).map(part => part.replace(/\W/g, '')).join('\\');
+      
+      this.createPlugin(scaffold, {
+        name,
+        author,
+        namespace,
+        api: document.querySelector('#pmideNewApi')?.value.trim() || '',
+        config: document.querySelector('#pmideNewConfig')?.checked || false
+      });
+    });
+  }
+  
+  /**
+   * Generate a plugin skeleton in a folder picked by the user
+   * @param {PluginScaffold} scaffold Scaffold generator
+   * @param {object} options Plugin name, author, namespace, api and config flag
+   */
+  async createPlugin(scaffold, options) {
+    let result;
+    try {
+      result = scaffold.generate(options);
+    } catch (error) {
+      this.showAlert('Invalid Plugin Details', error.message.replace(/\n/g, '<br>'));
+      return;
+    }
+    
+    let folder;
+    try {
+      const fileBrowser = acode.require('fileBrowser');
+      folder = await fileBrowser('folder', 'Select where to create the plugin');
+    } catch (error) {
+      console.log('Folder selection cancelled');
+      return;
+    }
+    if (!folder || !folder.url) return;
+    
+    try {
+      const fs = acode.require('fs');
+      const dirName = options.name.replace(/\s+/g, '');
+      
+      if (await fs(`${folder.url}/${dirName}`).exists()) {
+        this.showAlert('Folder Exists', `${dirName} already exists in ${folder.name || folder.url}`);
+        return;
+      }
+      
+      const pluginUrl = await fs(folder.url).createDirectory(dirName);
+      let mainUrl = null;
+      
+      for (const file of result.files) {
+        const parts = file.path.split('/');
+        const filename = parts.pop();
+        
+        // Create the parent directories one level at a time
+        let dirUrl = pluginUrl;
+        for (const part of parts) {
+          const childUrl = `${dirUrl}/${part}`;
+          dirUrl = await fs(childUrl).exists() ? childUrl : await fs(dirUrl).createDirectory(part);
+        }
+        
+        const fileUrl = await fs(dirUrl).createFile(filename, file.content);
+        if (file.path === result.mainPath) {
+          mainUrl = fileUrl;
+        }
+      }
+      
+      if (result.warnings.length) {
+        this.showAlert('Plugin Created With Warnings', result.warnings.join('<br>'));
+      } else {
+        this.showNotification('Plugin Created', `${options.name} created in ${folder.name || folder.url}`, { type: 'success' });
+      }
+      
+      if (mainUrl) {
+        this.openFileAtLine(mainUrl, result.mainLine);
+      }
+    } catch (error) {
+      console.error('Failed to create plugin:', error);
+      this.showAlert('Error Creating Plugin', error.message);
+    }
+  }
+  
+  /**
+   * Register the completion provider for PHP files
+   */
+  registerCompletionProvider() {
+    const editor = editorManager.editor;
+    
+    // Register completion provider for PHP files
+    editor.completers = editor.completers || [];
+    editor.completers.push({
+      getCompletions: (editor, session, pos, prefix, callback) => {
+        const activeFile = editorManager.activeFile;
+        
+        // Plugin manifest keys and values
+        if (activeFile && PluginYml.isPluginYml(activeFile.filename)) {
+          callback(null, this.pluginYml.getCompletions(session.getValue(), pos, prefix));
+          return;
+        }
+        
+        // Only provide completions for PHP files
+        if (!this.isPhpFile(activeFile)) {
+          callback(null, []);
+          return;
+        }
+        
+        // Get the current line
+        const line = session.getLine(pos.row);
+        
+        // Document context used to infer receiver types
+        const context = this.getEditorContext(session, pos);
+        
+        // Get completions from the indexer
+        const completions = this.getCompletions(line, prefix, pos, context);
+        
+        // Completions editing more than the typed word apply the indexer's plan
+        for (const completion of completions) {
+          if (completion.importClass) {
+            completion.completer = { insertMatch: (editor, data) => this.insertClassCompletion(editor, data) };
+          } else if (completion.override) {
+            completion.completer = { insertMatch: (editor, data) => this.insertOverrideCompletion(editor, data) };
+          }
+        }
+        
+        // Limit completions based on settings
+        const limitedCompletions = completions.slice(0, this.currentSettings.maxCompletionItems);
+        
+        callback(null, limitedCompletions);
+      }
+    });
+  }
+  
+  /**
+   * Build the document context the indexer uses to analyse the active file
+   * @param {object} session Ace edit session
+   * @param {object} pos Cursor position
+   * @returns {object} Context with source, offset and file
+   */
+  getEditorContext(session, pos) {
+    const activeFile = editorManager.activeFile;
+    return {
+      source: session.getValue(),
+      offset: session.doc.positionToIndex(pos),
+      file: activeFile ? (activeFile.uri || activeFile.filename) : ''
+    };
+  }
+  
+  /**
+   * Jump to the definition of the symbol under the cursor
+   */
+  goToDefinition() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    const { editor } = editorManager;
+    const context = this.getEditorContext(editor.session, editor.getCursorPosition());
+    const definition = this.indexer.findDefinition(context);
+    
+    if (!definition) {
+      this.showNotification('Go to Definition', 'No definition found', { type: 'info' });
+      return;
+    }
+    
+    this.openFileAtLine(definition.file, definition.line);
+  }
+  
+  /**
+   * List the places in the indexed files that use the symbol under the
+   * cursor, grouped by file
+   */
+  async findReferences() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    const { editor } = editorManager;
+    const context = this.getEditorContext(editor.session, editor.getCursorPosition());
+    
+    // Open files may have edits that are not saved yet
+    const readSource = async (filePath) => {
+      const openFile = editorManager.getFile(filePath, 'uri');
+      return openFile ? openFile.session.getValue() : acode.fsOperation.readFile(filePath);
+    };
+    
+    let result;
+    try {
+      result = await this.indexer.findReferences(context, readSource);
+    } catch (error) {
+      console.error('Failed to find references:', error);
+      this.showAlert('Find References', error.message);
+      return;
+    }
+    
+    if (!result) {
+      this.showNotification('Find References', 'No class, method, property, constant or function under the cursor', { type: 'info' });
+      return;
+    }
+    
+    const { symbol, kind, references } = result;
+    const label = symbol.class && kind !== 'class' ? `${symbol.class}::${symbol.name}` : symbol.name;
+    if (!references.length) {
+      this.showNotification('Find References', `No references to ${label} found`, { type: 'info' });
+      return;
+    }
+    
+    const DialogBox = acode.require('dialogBox');
+    
+    const byFile = new Map();
+    references.forEach((reference, i) => {
+      if (!byFile.has(reference.file)) byFile.set(reference.file, []);
+      byFile.get(reference.file).push({ ...reference, index: i });
+    });
+    
+    const groups = [...byFile].map(([file, fileReferences]) => `
+      <div class="pmide-references-file" title="${this.escapeHtml(file)}">
+        ${this.escapeHtml(decodeURIComponent(file.split('/').pop()))} <small>(${fileReferences.length})</small>
+      </div>
+      ${fileReferences.map(reference => `
+        <div class="pmide-references-item" data-index="${reference.index}">
+          <span class="pmide-references-line">${reference.line}</span>
+          <span class="pmide-references-preview">${this.escapeHtml(reference.preview)}</span>
+        </div>
+      `).join('')}
+    `).join('');
+    
+    const html = `
+      <div class="pmide-references">${groups}</div>
+      
+      <style>
+        .pmide-references {
+          max-height: 60vh;
+          overflow-y: auto;
+        }
+        
+        .pmide-references-file {
+          margin-top: 10px;
+          padding: 4px 0;
+          font-weight: 600;
+          border-bottom: 1px solid var(--border-color, #ccc);
+        }
+        
+        .pmide-references-item {
+          display: flex;
+          gap: 8px;
+          padding: 6px 0;
+        }
+        
+        .pmide-references-line {
+          flex-shrink: 0;
+          min-width: 32px;
+          text-align: right;
+          color: var(--secondary-text-color, #666);
+        }
+        
+        .pmide-references-preview {
+          font-family: monospace;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+      </style>
+    `;
+    
+    const count = `${references.length} reference${references.length === 1 ? '' : 's'}`;
+    const dialog = DialogBox(`${label}: ${count}`, html, 'Close');
+    
+    dialog.onclick((e) => {
+      const reference = references[e.target.closest('.pmide-references-item')?.dataset.index];
+      if (reference) {
+        dialog.hide();
+        this.openFileAtLine(reference.file, reference.line);
+      }
+    });
+  }
+  
+  /**
+   * Show the documentation of the symbol under the cursor in a popup
+   */
+  showDocumentation() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    const { editor } = editorManager;
+    const pos = editor.getCursorPosition();
+    const symbol = this.indexer.findDefinition(this.getEditorContext(editor.session, pos));
+    
+    if (!symbol) {
+      this.showNotification('Documentation', 'No documentation found', { type: 'info' });
+      return;
+    }
+    
+    this.showTooltip(this.indexer.formatSymbolDoc(symbol), pos);
+  }
+  
+  /**
+   * Show a text popup below an editor position until the cursor moves
+   * @param {string} text Popup text
+   * @param {object} pos Editor position to anchor the popup to
+   */
+  showTooltip(text, pos) {
+    const { editor } = editorManager;
+    this.hideTooltip();
+    
+    const coords = editor.renderer.textToScreenCoordinates(pos.row, pos.column);
+    const lineHeight = editor.renderer.lineHeight || 16;
+    
+    const tooltip = document.createElement('div');
+    tooltip.className = 'pmide-tooltip';
+    tooltip.textContent = text;
+    tooltip.style.cssText = `
+      position: fixed;
+      left: ${Math.max(4, Math.min(coords.pageX, window.innerWidth - 320))}px;
+      top: ${coords.pageY + lineHeight}px;
+      max-width: min(90vw, 480px);
+      max-height: 40vh;
+      overflow: auto;
+      white-space: pre-wrap;
+      background: var(--popup-background-color, #333);
+      color: var(--popup-text-color, #fff);
+      border: 1px solid var(--border-color, #555);
+      padding: 8px 12px;
+      border-radius: 4px;
+      z-index: 10000;
+      font-size: 13px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+    `;
+    document.body.appendChild(tooltip);
+    
+    // Dismiss when the cursor moves, the file changes or the popup is tapped
+    const dismiss = () => this.hideTooltip();
+    editor.on('changeSelection', dismiss);
+    tooltip.addEventListener('click', dismiss);
+    
+    this.tooltip = { element: tooltip, editor, dismiss };
+  }
+  
+  /**
+   * Remove the documentation popup if shown
+   */
+  hideTooltip() {
+    if (!this.tooltip) return;
+    
+    const { element, editor, dismiss } = this.tooltip;
+    editor.off('changeSelection', dismiss);
+    element.remove();
+    this.tooltip = null;
+  }
+  
+  /**
+   * Re-index PHP files and update diagnostics when files are saved,
+   * switched to or edited
+   */
+  registerFileEvents() {
+    this.onFileSaved = async (file) => {
+      await this.reindexEditorFile(file, true);
+      this.updateDiagnostics(file);
+      this.refreshOutline();
+    };
+    this.onFileSwitched = async (file) => {
+      await this.reindexEditorFile(file, !file?.isUnsaved);
+      this.updateDiagnostics(file);
+      this.refreshOutline();
+    };
+    
+    // Wait for a pause in typing
+    this.onFileChanged = (file) => {
+      clearTimeout(this.reindexTimer);
+      this.reindexTimer = setTimeout(async () => {
+        await this.reindexEditorFile(file, false);
+        this.updateDiagnostics(file);
+        this.refreshOutline();
+      }, 1000);
+    };
+    
+    editorManager.on('save-file', this.onFileSaved);
+    editorManager.on('switch-file', this.onFileSwitched);
+    editorManager.on('file-content-changed', this.onFileChanged);
+    
+    // Project folders are index roots
+    this.onFoldersChanged = () => this.scheduleIndex();
+    editorManager.on('add-folder', this.onFoldersChanged);
+    editorManager.on('remove-folder', this.onFoldersChanged);
+  }
+  
+  /**
+   * Feed the content of an open file to the index
+   * @param {object} file Acode editor file
+   * @param {boolean} saved True if the buffer matches the file on disk
+   */
+  async reindexEditorFile(file, saved) {
+    if (!this.indexer || !this.isPhpFile(file) || !file.session) return;
+    
+    try {
+      await this.indexer.updateFile(file.uri || file.filename, file.session.getValue(), saved && !!file.uri);
+    } catch (error) {
+      console.error('Failed to re-index file:', error);
+    }
+  }
+  
+  /**
+   * Show the outline of the active PHP file on the plugin page
+   */
+  async showOutline() {
+    const activeFile = this.getActivePhpFile();
+    if (!activeFile) return;
+    
+    // Pick up edits made since the last re-index
+    await this.reindexEditorFile(activeFile, !activeFile.isUnsaved);
+    
+    if (!this.outlineList) {
+      this.outlineList = document.createElement('div');
+      this.outlineList.className = 'pmide-outline';
+      this.outlineList.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-line]');
+        if (!item) return;
+        
+        this.$page.hide();
+        editorManager.editor.gotoLine(Number(item.dataset.line), 0, true);
+        editorManager.editor.focus();
+      });
+      
+      const style = document.createElement('style');
+      style.textContent = `
+        .pmide-outline {
+          padding: 8px 0;
+          font-size: 14px;
+        }
+        
+        .pmide-outline-namespace {
+          padding: 6px 12px;
+          color: var(--secondary-text-color, #666);
+          font-family: monospace;
+        }
+        
+        .pmide-outline-item {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 12px;
+          border-bottom: 1px solid var(--border-color, #eee);
+        }
+        
+        .pmide-outline-member {
+          padding-left: 32px;
+        }
+        
+        .pmide-outline-icon {
+          flex-shrink: 0;
+          width: 18px;
+          height: 18px;
+          line-height: 18px;
+          border-radius: 50%;
+          text-align: center;
+          font-size: 11px;
+          font-weight: 600;
+          color: #fff;
+          background: var(--accent-color, #007acc);
+        }
+        
+        .pmide-outline-public { background: #2e9d4f; }
+        .pmide-outline-protected { background: #d4901c; }
+        .pmide-outline-private { background: #c8463d; }
+        
+        .pmide-outline-name {
+          font-family: monospace;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        
+        .pmide-outline-static {
+          text-decoration: underline;
+        }
+        
+        .pmide-outline-detail {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          font-size: 12px;
+          color: var(--secondary-text-color, #666);
+        }
+        
+        .pmide-outline-line {
+          flex-shrink: 0;
+          font-size: 12px;
+          color: var(--secondary-text-color, #666);
+        }
+      `;
+      
+      this.$page.append(style, this.outlineList);
+      this.$page.onhide = () => {
+        this.outlineVisible = false;
+      };
+    }
+    
+    this.outlineVisible = true;
+    this.refreshOutline();
+    this.$page.show();
+  }
+  
+  /**
+   * Redraw the outline for the active file while the outline page is shown
+   */
+  refreshOutline() {
+    const activeFile = editorManager.activeFile;
+    if (!this.outlineVisible || !activeFile) return;
+    
+    this.$page.settitle(`Outline: ${activeFile.filename}`);
+    
+    const outline = this.isPhpFile(activeFile) ?
+      this.indexer.getFileOutline(activeFile.uri || activeFile.filename) : null;
+    if (!outline) {
+      this.outlineList.innerHTML = '<div class="pmide-outline-namespace">No PHP declarations</div>';
+      return;
+    }
+    
+    const icons = { class: 'C', interface: 'I', trait: 'T', enum: 'E', function: 'f' };
+    const memberIcons = { method: 'm', property: 'p', constant: 'c', case: 'e' };
+    const item = (className, icon, iconClass, entry, title) => `
+      <div class="pmide-outline-item ${className}" data-line="${entry.line}">
+        <span class="pmide-outline-icon ${iconClass}" title="${title}">${icon}</span>
+        <span class="pmide-outline-name${entry.static ? ' pmide-outline-static' : ''}">${entry.name}</span>
+        <span class="pmide-outline-detail">${this.escapeHtml(entry.detail || '')}</span>
+        <span class="pmide-outline-line">${entry.line}</span>
+      </div>`;
+    
+    const html = [];
+    if (outline.namespace) {
+      html.push(`<div class="pmide-outline-namespace">namespace ${outline.namespace}</div>`);
+    }
+    for (const classData of outline.classes) {
+      html.push(item('', icons[classData.kind], '', classData, classData.kind));
+      for (const member of classData.members) {
+        const title = `${member.visibility}${member.static ? ' static' : ''} ${member.kind}`;
+        html.push(item('pmide-outline-member', memberIcons[member.kind], `pmide-outline-${member.visibility}`, member, title));
+      }
+    }
+    for (const functionData of outline.functions) {
+      html.push(item('', icons.function, '', functionData, 'function'));
+    }
+    
+    this.outlineList.innerHTML = html.join('') ||
+      '<div class="pmide-outline-namespace">No PHP declarations</div>';
+  }
+  
+  /**
+   * Show the problems of a PHP file or plugin.yml as editor annotations
+   * @param {object} file Acode editor file
+   */
+  updateDiagnostics(file) {
+    if (!this.indexer || !file || !file.session) return;
+    
+    if (PluginYml.isPluginYml(file.filename)) {
+      file.session.setAnnotations(this.pluginYml.validate(file.session.getValue()));
+    } else if (this.isPhpFile(file)) {
+      const annotations = this.currentSettings.diagnostics ? this.indexer.getDiagnostics({
+        source: file.session.getValue(),
+        file: file.uri || file.filename
+      }) : [];
+      this.setPhpAnnotations(file.session, annotations);
+    }
+  }
+  
+  /**
+   * Show index diagnostics next to the annotations of Ace's PHP worker,
+   * adding them back whenever the worker replaces the annotations
+   * @param {object} session Ace edit session
+   * @param {Array<object>} annotations Diagnostics from the indexer
+   */
+  setPhpAnnotations(session, annotations) {
+    const own = annotations.map(annotation => ({ ...annotation, pmide: true }));
+    const merge = () => {
+      const others = session.getAnnotations().filter(annotation => !annotation.pmide);
+      session.setAnnotations([...others, ...session.pmideAnnotations]);
+    };
+    
+    session.pmideAnnotations = own;
+    if (!session.pmideListener) {
+      session.pmideListener = () => {
+        const current = session.getAnnotations();
+        if (session.pmideAnnotations.length && !current.some(annotation => annotation.pmide)) {
+          merge();
+        }
+      };
+      session.on('changeAnnotation', session.pmideListener);
+    }
+    
+    merge();
+  }
+  
+  /**
+   * Update the signature help shortly after the cursor moves
+   */
+  registerSignatureHelp() {
+    const { editor } = editorManager;
+    
+    this.onCursorChange = () => {
+      clearTimeout(this.signatureTimer);
+      this.signatureTimer = setTimeout(() => this.updateSignatureHelp(), 150);
+    };
+    
+    // Selections belong to sessions, the editor's event survives file switches
+    editor.on('changeSelection', this.onCursorChange);
+  }
+  
+  /**
+   * Show or hide the signature of the call surrounding the cursor
+   */
+  updateSignatureHelp() {
+    const activeFile = this.getActivePhpFile();
+    if (!this.currentSettings.signatureHelp || !activeFile) {
+      this.hideSignatureHelp();
+      return;
+    }
+    
+    const { editor } = editorManager;
+    const pos = editor.getCursorPosition();
+    const help = this.indexer.getSignatureHelp(this.getEditorContext(editor.session, pos));
+    
+    if (!help) {
+      this.hideSignatureHelp();
+      return;
+    }
+    
+    if (!this.signaturePopup) {
+      this.signaturePopup = document.createElement('div');
+      this.signaturePopup.className = 'pmide-signature';
+      this.signaturePopup.style.cssText = `
+        position: fixed;
+        transform: translateY(-100%);
+        max-width: 90vw;
+        overflow-x: auto;
+        white-space: nowrap;
+        background: var(--popup-background-color, #333);
+        color: var(--popup-text-color, #fff);
+        border: 1px solid var(--border-color, #555);
+        padding: 4px 8px;
+        border-radius: 4px;
+        z-index: 10000;
+        font-size: 13px;
+        font-family: monospace;
+        pointer-events: none;
+      `;
+      document.body.appendChild(this.signaturePopup);
+    }
+    
+    // Build the signature with the current parameter highlighted
+    const popup = this.signaturePopup;
+    popup.textContent = `${help.name}(`;
+    help.params.forEach((param, index) => {
+      if (index > 0) popup.append(', ');
+      const span = document.createElement('span');
+      span.textContent = param;
+      if (index === help.activeParameter) {
+        span.style.fontWeight = 'bold';
+        span.style.color = 'var(--active-color, #3ba5ff)';
+      }
+      popup.appendChild(span);
+    });
+    popup.append(help.returnType ? `) : ${help.returnType}` : ')');
+    
+    const coords = editor.renderer.textToScreenCoordinates(pos.row, pos.column);
+    popup.style.left = `${Math.max(4, Math.min(coords.pageX, window.innerWidth - 200))}px`;
+    popup.style.top = `${coords.pageY - 4}px`;
+  }
+  
+  /**
+   * Remove the signature help popup if shown
+   */
+  hideSignatureHelp() {
+    if (this.signaturePopup) {
+      this.signaturePopup.remove();
+      this.signaturePopup = null;
+    }
+  }
+  
+  /**
+   * Open a file in Acode (or switch to it) and move the cursor to a line
+   * @param {string} filePath File URL
+   * @param {number} line 1-based line number
+   */
+  openFileAtLine(filePath, line) {
+    const existing = editorManager.getFile(filePath, 'uri');
+    
+    if (existing) {
+      existing.makeActive();
+      editorManager.editor.gotoLine(line, 0, true);
+      return;
+    }
+    
+    const filename = decodeURIComponent(filePath.split('/').pop());
+    acode.newEditorFile(filename, {
+      uri: filePath,
+      render: true,
+      cursorPos: { row: line - 1, column: 0 }
+    });
+  }
+  
+  /**
+   * Get completions based on the current context
+   * @param {string} line Current line text
+   * @param {string} prefix Current prefix
+   * @param {object} pos Current position
+   * @param {object} context Document context (source, offset, file)
+   * @returns {Array} Array of completion items
+   */
+  getCompletions(line, prefix, pos, context = {}) {
+    if (!this.indexer) return [];
+    
+    // Check for different contexts, looking only at the text before the cursor
+    const beforeCursor = line.substring(0, pos.column);
+    const classMatch = /\bnew\s+\\?[\w\\]*$/.exec(beforeCursor);
+    const useMatch = /^\s*use\s+\\?[\w\\]*$/.exec(beforeCursor);
+    const methodMatch = /->\s*\w*$/.exec(beforeCursor);
+    const staticMatch = /::\s*\$?\w*$/.exec(beforeCursor);
+    const declarationMatch = /^\s*(?:(?:public|protected|private|static|final)\s+)*function\s+\w*$/i.exec(beforeCursor);
+    
+    if (declarationMatch) {
+      // Method declaration: offer the parent methods to override
+      return this.indexer.getOverrideCompletions(prefix, context);
+    } else if (classMatch) {
+      // Class instantiation
+      return this.indexer.getClassCompletions(prefix, context);
+    } else if (useMatch) {
+      // Use statement
+      return this.indexer.getNamespaceCompletions(prefix);
+    } else if (methodMatch) {
+      // Method call
+      return this.indexer.getMethodCompletions(prefix, context);
+    } else if (staticMatch) {
+      // Static method call
+      return this.indexer.getStaticMethodCompletions(prefix, context);
+    }
+    
+    // Default completions (classes, functions)
+    return this.indexer.getDefaultCompletions(prefix, context);
+  }
+  
+  /**
+   * Insert an accepted class completion and import the class
+   * @param {object} editor Ace editor
+   * @param {object} data Accepted completion with importClass and snippet
+   */
+  insertClassCompletion(editor, data) {
+    const { session } = editor;
+    const context = this.getEditorContext(session, editor.getCursorPosition());
+    const plan = this.indexer.planClassCompletion(context, data.importClass, data.snippet);
+    
+    // Replace the typed name, Ace leaves that to custom completers
+    session.remove({
+      start: session.doc.indexToPosition(plan.start),
+      end: session.doc.indexToPosition(plan.end)
+    });
+    if (editor.insertSnippet) {
+      editor.insertSnippet(plan.snippet);
+    } else {
+      editor.insert(plan.name);
+    }
+    
+    // The import goes above the cursor, which keeps its place
+    this.applyEdits(session, plan.edits);
+  }
+  
+  /**
+   * Replace the method declaration being typed with an override of the
+   * accepted parent method
+   * @param {object} editor Ace editor
+   * @param {object} data Accepted completion with the overridden method name
+   */
+  insertOverrideCompletion(editor, data) {
+    const { session } = editor;
+    const context = this.getEditorContext(session, editor.getCursorPosition());
+    const plan = this.indexer.planOverrideCompletion(context, data.override, session.getTabString(), {
+      attribute: this.currentSettings.overrideAttribute
+    });
+    if (!plan) return;
+    
+    this.applyEdits(session, plan.edits);
+    editor.moveCursorToPosition(session.doc.indexToPosition(plan.cursorOffset));
+  }
+  
+  /**
+   * Index PHP files
+   */
+  async indexPhpFiles() {
+    const roots = this.getEnabledRoots();
+    
+    if (!roots.length) {
+      const alertDialog = this.showAlert(
+        'No Index Roots',
+        'Please set the PocketMine path or enable an index root in the plugin settings first.'
+      );
+      
+      alertDialog.ok(() => {
+        this.createSettingsUI();
+      });
+      return;
+    }
+    
+    // Run again once the current pass is done
+    if (this.indexing) {
+      this.indexQueued = true;
+      return;
+    }
+    this.indexing = true;
+    
+    this.updateIndexStatus('Indexing...');
+    this.showNotification('Indexing', 'Indexing PHP files...', { type: 'info' });
+    
     try {
-      // Index the PHP files
-      await this.indexer.indexPhpFiles(pocketMinePath);
+      // Index the PHP files (only new or changed ones are parsed)
+      await this.indexer.indexPhpFiles(roots);
+      await this.saveIndexCache();
       
       // Show success message
       this.updateIndexStatus('Indexed successfully');
-      this.showNotification('Success', 'PHP files indexed successfully', { type: 'success' });
+      
+      // Classes reported as unknown may exist now
+      this.updateDiagnostics(editorManager.activeFile);
+      this.showNotification('Success', `PHP files indexed successfully (${this.indexer.totalFiles} updated)`, { type: 'success' });
     } catch (error) {
       // Show error message
       this.updateIndexStatus('Index failed');
       this.showAlert('Error Indexing PHP Files', error.message);
+    } finally {
+      this.indexing = false;
+    }
+    
+    if (this.indexQueued) {
+      this.indexQueued = false;
+      this.indexPhpFiles();
     }
   }
   
@@ -688,11 +2341,44 @@ class PocketMineIDE {
       this.settingsDialog.hide();
     }
     
-    // Remove editor commands
+    // Remove documentation popup if open
+    this.hideTooltip();
+    
+    // Close the outline page if open
+    if (this.outlineVisible) {
+      this.$page.hide();
+    }
+    
+    // Stop listening to file events
+    editorManager.off('save-file', this.onFileSaved);
+    editorManager.off('switch-file', this.onFileSwitched);
+    editorManager.off('file-content-changed', this.onFileChanged);
+    editorManager.off('add-folder', this.onFoldersChanged);
+    editorManager.off('remove-folder', this.onFoldersChanged);
+    clearTimeout(this.reindexTimer);
+    clearTimeout(this.indexTimer);
+    
+    // Stop signature help
     const { editor } = editorManager;
+    editor.off('changeSelection', this.onCursorChange);
+    clearTimeout(this.signatureTimer);
+    this.hideSignatureHelp();
+    
+    // Remove editor commands
     editor.commands.removeCommand('pmide_open_settings');
+    editor.commands.removeCommand('pmide_goto_definition');
+    editor.commands.removeCommand('pmide_show_documentation');
     editor.commands.removeCommand('pmide_index_files');
     editor.commands.removeCommand('pmide_clear_index');
+    editor.commands.removeCommand('pmide_add_event_handler');
+    editor.commands.removeCommand('pmide_organize_imports');
+    editor.commands.removeCommand('pmide_implement_methods');
+    editor.commands.removeCommand('pmide_override_method');
+    editor.commands.removeCommand('pmide_generate_accessors');
+    editor.commands.removeCommand('pmide_workspace_symbols');
+    editor.commands.removeCommand('pmide_show_outline');
+    editor.commands.removeCommand('pmide_find_references');
+    editor.commands.removeCommand('pmide_new_plugin');
   }
 }
 
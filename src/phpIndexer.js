@@ -16,6 +16,7 @@ const TOKEN_TYPES = {
   T_CLASS: 'T_CLASS',
   T_INTERFACE: 'T_INTERFACE',
   T_TRAIT: 'T_TRAIT',
+  T_ENUM: 'T_ENUM',
   T_FUNCTION: 'T_FUNCTION',
   T_VARIABLE: 'T_VARIABLE',
   T_CONST: 'T_CONST',
@@ -25,14 +26,140 @@ const TOKEN_TYPES = {
   T_STATIC: 'T_STATIC',
   T_ABSTRACT: 'T_ABSTRACT',
   T_FINAL: 'T_FINAL',
+  T_READONLY: 'T_READONLY',
   T_EXTENDS: 'T_EXTENDS',
   T_IMPLEMENTS: 'T_IMPLEMENTS',
   T_STRING: 'T_STRING',
   T_WHITESPACE: 'T_WHITESPACE',
   T_COMMENT: 'T_COMMENT',
-  T_DOC_COMMENT: 'T_DOC_COMMENT'
+  T_DOC_COMMENT: 'T_DOC_COMMENT',
+  T_ATTRIBUTE: 'T_ATTRIBUTE',
+  T_STRING_LITERAL: 'T_STRING_LITERAL'
 };
 
+// Lookaheads deciding whether enum and readonly are used as keywords
+const DECLARED_NAME_AHEAD = /\s+[a-zA-Z_]/y;
+const CALL_AHEAD = /\s*\(/y;
+
+// Opening line of a heredoc or nowdoc: <<<ID, <<<"ID" or <<<'ID'
+const HEREDOC_START = /<<<[ \t]*(["']?)([a-zA-Z_][a-zA-Z0-9_]*)\1\r?\n/y;
+
+// Bump when the shape of serialized index data changes
+const INDEX_CACHE_VERSION = 11;
+
+/**
+ * JSON replacer that keeps Maps and Sets
+ * @param {string} key Property key
+ * @param {*} value Property value
+ * @returns {*} Serializable value
+ */
+function serializeReplacer(key, value) {
+  if (value instanceof Map) return { __map: [...value] };
+  if (value instanceof Set) return { __set: [...value] };
+  return value;
+}
+
+/**
+ * JSON reviver that restores Maps and Sets written by serializeReplacer
+ * @param {string} key Property key
+ * @param {*} value Parsed value
+ * @returns {*} Restored value
+ */
+function serializeReviver(key, value) {
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.__map)) return new Map(value.__map);
+    if (Array.isArray(value.__set)) return new Set(value.__set);
+  }
+  return value;
+}
+
+/**
+ * Hash file content to notice changes where no modification time is known
+ * @param {string} content File content
+ * @returns {string} FNV-1a hash in hex
+ */
+function hashContent(content) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < content.length; i++) {
+    hash ^= content.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Join a relative path onto a directory, resolving `.` and `..` segments
+ * @param {string} base Directory path or URL
+ * @param {string} relative Relative path
+ * @returns {string} Joined path
+ */
+function joinPath(base, relative) {
+  const parts = base.replace(/\/+$/, '').split('/');
+  for (const part of relative.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  }
+  return parts.join('/');
+}
+
+/**
+ * Read the `libs` entries of a .poggit.yml file. Only the keys needed to
+ * locate virions are read, so no YAML parser is needed.
+ * @param {string} text File content
+ * @returns {Array<{src: string, vendor: string|null}>} Declared virions
+ */
+function parsePoggitLibs(text) {
+  const libs = [];
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(-\s+)?(src|vendor)\s*:\s*["']?([^"'#]*?)["']?\s*(#.*)?$/);
+    if (!match) {
+      if (/^\s*-/.test(line)) current = null;
+      continue;
+    }
+
+    if (match[1] || !current) {
+      current = { src: null, vendor: null };
+      libs.push(current);
+    }
+    current[match[2]] = match[3];
+  }
+
+  return libs.filter(lib => lib.src);
+}
+
+// PocketMine classes the event handler generator works with
+const EVENT_CLASS = 'pocketmine\\event\\Event';
+const CANCELLABLE_INTERFACE = 'pocketmine\\event\\Cancellable';
+const LISTENER_INTERFACE = 'pocketmine\\event\\Listener';
+
+// Type names that never refer to an indexed class
+const BUILTIN_TYPES = new Set([
+  'int', 'float', 'string', 'bool', 'array', 'iterable', 'callable', 'object',
+  'mixed', 'void', 'null', 'never', 'false', 'true', 'resource', 'integer',
+  'boolean', 'double', 'number'
+]);
+
+// Keywords that may precede a variable without being its type
+const NON_TYPE_KEYWORDS = new Set([
+  'return', 'echo', 'print', 'global', 'as', 'yield', 'clone', 'throw',
+  'new', 'case', 'and', 'or', 'xor', 'else', 'do', 'include', 'include_once',
+  'require', 'require_once', 'instanceof', 'insteadof', 'fn', 'function', 'use'
+]);
+
+// Keywords followed by parentheses that are not function calls
+const CONTROL_KEYWORDS = new Set([
+  'if', 'elseif', 'while', 'for', 'foreach', 'switch', 'match', 'catch',
+  'array', 'list', 'isset', 'empty', 'unset', 'exit', 'die', 'eval'
+]);
+
+// Order modifiers are written in declarations
+const MODIFIER_ORDER = ['abstract', 'final', 'public', 'protected', 'private', 'static', 'readonly'];
+
 export class PhpIndexer {
   constructor() {
     // Initialize data structures
@@ -43,7 +170,11 @@ export class PhpIndexer {
     this.namespaces = new Map();        // Namespace mappings
     this.uses = new Map();             // Use statements per file
     this.fileIndex = new Map();        // File-based index
+    this.fileStats = new Map();        // Size and modification time seen while scanning
+    this.filePriorities = new Map();   // Priority of the root each file was found in
+    this.dependents = new Map();       // Classes extending, implementing or using each class
     this.done = new Set();             // Cache for completions
+    this.documentCache = null;         // Last parsed editor document
 
     // Parsing state
     this.currentFile = null;
@@ -67,26 +198,67 @@ export class PhpIndexer {
   }
 
   /**
-   * Index PHP files in the given directory
-   * @param {string} pocketMinePath Path to PocketMine source code
+   * Index PHP files in the given roots. Files already in the index are
+   * only parsed again when their size, modification time or root priority
+   * changed. When two roots declare the same class, the root with the
+   * higher priority wins.
+   * @param {string|Array<{path: string, priority: number}>} roots Root path or list of roots
    */
-  async indexPhpFiles(pocketMinePath) {
-    // Clear existing data
-    this.clearIndex();
-
+  async indexPhpFiles(roots) {
     try {
-      // Get all PHP files in the directory
-      const files = await this.findPhpFiles(pocketMinePath);
+      if (typeof roots === 'string') {
+        roots = [{ path: roots, priority: 0 }];
+      }
+
+      // Get all PHP files in every root, a file inside overlapping roots
+      // keeps the highest priority
+      this.fileStats.clear();
+      const priorities = new Map();
+      const allFiles = [];
+      for (const root of roots) {
+        const priority = root.priority || 0;
+        for (const sourcePath of await this.getSourcePaths(root.path)) {
+          for (const filePath of await this.findPhpFiles(sourcePath)) {
+            const fileKey = this.normalizeFilePath(filePath);
+            if (!priorities.has(fileKey)) {
+              allFiles.push(filePath);
+            } else if (priorities.get(fileKey) >= priority) {
+              continue;
+            }
+            priorities.set(fileKey, priority);
+          }
+        }
+      }
+      this.filePriorities = priorities;
+
+      // Drop files that no longer exist
+      const current = new Set(allFiles.map(filePath => this.normalizeFilePath(filePath)));
+      for (const fileKey of [...this.fileIndex.keys()]) {
+        if (!current.has(fileKey)) {
+          this.removeFileFromIndex(fileKey);
+        }
+      }
+
+      // Check files in batches, each check may stat or read the file
+      const batchSize = 10;
+      const files = [];
+      for (let i = 0; i < allFiles.length; i += batchSize) {
+        const batch = allFiles.slice(i, i + batchSize);
+        const changed = await Promise.all(batch.map(filePath => this.isFileChanged(filePath)));
+        files.push(...batch.filter((filePath, j) => changed[j]));
+      }
       this.totalFiles = files.length;
       this.processedFiles = 0;
 
       // Process files in batches to avoid blocking UI
-      const batchSize = 10;
       for (let i = 0; i < files.length; i += batchSize) {
         const batch = files.slice(i, i + batchSize);
 
         // Process batch
-        await Promise.all(batch.map(filePath => this.processPhpFile(filePath)));
+        await Promise.all(batch.map(filePath => {
+          this.removeFileFromIndex(filePath);
+          return this.processPhpFile(filePath);
+        }));
 
         // Update progress
         this.processedFiles = Math.min(i + batchSize, files.length);
@@ -119,15 +291,339 @@ export class PhpIndexer {
     this.namespaces.clear();
     this.uses.clear();
     this.fileIndex.clear();
+    this.fileStats.clear();
+    this.filePriorities.clear();
+    this.dependents.clear();
     this.done.clear();
+    this.documentCache = null;
+  }
+
+  /**
+   * Remove everything a file declared from the global maps
+   * @param {string} filePath Path of the file to remove
+   */
+  removeFileFromIndex(filePath) {
+    const fileKey = this.normalizeFilePath(filePath);
+    const fileData = this.fileIndex.get(fileKey);
+    if (!fileData) return;
+
+    this.fileIndex.delete(fileKey);
+
+    for (const classData of fileData.classes.values()) {
+      // Another file may have redeclared the same class since
+      if (this.classes.get(classData.fullName) === classData) {
+        this.unlinkDependents(classData);
+        this.classes.delete(classData.fullName);
+        this.interfaces.delete(classData.fullName);
+        this.traits.delete(classData.fullName);
+        this.restoreDeclaration(classData.fullName, 'classes');
+
+        const restored = this.classes.get(classData.fullName);
+        if (restored) this.linkDependents(restored);
+      }
+      if (!this.classes.has(classData.fullName)) {
+        this.namespaces.get(classData.namespace)?.delete(classData.fullName);
+      }
+    }
+
+    for (const [fullName, functionData] of [...this.functions]) {
+      if (this.normalizeFilePath(functionData.file) === fileKey) {
+        this.functions.delete(fullName);
+        this.restoreDeclaration(fullName, 'functions');
+      }
+    }
+
+    // Forget namespaces no remaining file declares
+    const namespace = fileData.namespace;
+    if (namespace && this.namespaces.get(namespace)?.size === 0 &&
+      ![...this.fileIndex.values()].some(data => data.namespace === namespace)) {
+      this.namespaces.delete(namespace);
+    }
+  }
+
+  /**
+   * Register a class unless a root with higher priority already declares it
+   * @param {object} classData Class definition
+   */
+  registerClass(classData) {
+    const existing = this.classes.get(classData.fullName);
+    if (!existing || (classData.priority || 0) >= (existing.priority || 0)) {
+      this.classes.set(classData.fullName, classData);
+
+      // Interfaces and traits are listed on their own as well
+      this.interfaces.delete(classData.fullName);
+      this.traits.delete(classData.fullName);
+      if (classData.type === 'interface') this.interfaces.set(classData.fullName, classData);
+      if (classData.type === 'trait') this.traits.set(classData.fullName, classData);
+    }
+  }
+
+  /**
+   * Register a global function unless a root with higher priority already declares it
+   * @param {string} fullName Namespaced function name
+   * @param {object} functionData Function definition
+   */
+  registerFunction(fullName, functionData) {
+    const existing = this.functions.get(fullName);
+    if (!existing || (functionData.priority || 0) >= (existing.priority || 0)) {
+      this.functions.set(fullName, functionData);
+    }
+  }
+
+  /**
+   * Bring back the best remaining declaration of a class or function that
+   * was hidden by a removed file
+   * @param {string} fullName Full name of the class or function
+   * @param {string} kind Either 'classes' or 'functions'
+   */
+  restoreDeclaration(fullName, kind) {
+    for (const fileData of this.fileIndex.values()) {
+      for (const declaration of fileData[kind].values()) {
+        if (declaration.fullName !== fullName) continue;
+
+        if (kind === 'classes') {
+          this.registerClass(declaration);
+        } else {
+          this.registerFunction(fullName, declaration);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a file must be parsed again. Files the directory listing
+   * gave no modification time for are stat'ed, and without one the content
+   * hash is compared.
+   * @param {string} filePath Path of the file
+   * @returns {Promise<boolean>} True if the file is new or changed since it was indexed
+   */
+  async isFileChanged(filePath) {
+    const fileKey = this.normalizeFilePath(filePath);
+    let stat = this.fileStats.get(fileKey);
+    if (!stat) {
+      stat = await this.getFileStat(filePath);
+      this.fileStats.set(fileKey, stat);
+    }
+
+    const fileData = this.fileIndex.get(fileKey);
+    if (!fileData) return true;
+
+    if ((fileData.priority || 0) !== (this.filePriorities.get(fileKey) || 0)) return true;
+    if (stat.size !== undefined && fileData.size !== stat.size) return true;
+    if (stat.lastModified) return fileData.lastModified !== stat.lastModified;
+
+    if (fileData.hash === undefined) return true;
+    try {
+      return hashContent(await acode.fsOperation.readFile(filePath)) !== fileData.hash;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Serialize the index so it can be stored between sessions
+   * @returns {string} JSON string
+   */
+  serializeIndex() {
+    const ownMembers = members => new Map([...members].filter(([, member]) => !member.inherited));
+
+    return JSON.stringify({
+      version: INDEX_CACHE_VERSION,
+      // Inherited members and file links are rebuilt on load. Classes
+      // hidden by a root with higher priority are kept as well.
+      classes: [...this.fileIndex.values()].flatMap(fileData => [...fileData.classes.values()]).map(classData => ({
+        ...classData,
+        uses: undefined,
+        inheritanceResolved: undefined,
+        methods: ownMembers(classData.methods),
+        properties: ownMembers(classData.properties),
+        constants: ownMembers(classData.constants)
+      })),
+      functions: [...this.fileIndex.values()].flatMap(fileData => [...fileData.functions.values()]),
+      namespaces: this.namespaces,
+      priorities: this.filePriorities,
+      files: [...this.fileIndex.values()].map(fileData => ({
+        path: fileData.path,
+        namespace: fileData.namespace,
+        uses: fileData.uses,
+        functionUses: fileData.functionUses,
+        constUses: fileData.constUses,
+        lastModified: fileData.lastModified,
+        size: fileData.size,
+        hash: fileData.hash,
+        priority: fileData.priority,
+        references: fileData.references
+      }))
+    }, serializeReplacer);
+  }
+
+  /**
+   * Replace the index with data written by serializeIndex
+   * @param {string} json JSON string
+   * @returns {boolean} True if the data was loaded
+   */
+  loadSerializedIndex(json) {
+    const data = JSON.parse(json, serializeReviver);
+    if (!data || data.version !== INDEX_CACHE_VERSION) return false;
+
+    this.clearIndex();
+
+    for (const file of data.files) {
+      this.fileIndex.set(this.normalizeFilePath(file.path), {
+        ...file,
+        classes: new Map(),
+        functions: new Map()
+      });
+    }
+
+    for (const classData of data.classes) {
+      const fileData = this.fileIndex.get(this.normalizeFilePath(classData.file));
+      classData.uses = fileData ? fileData.uses : new Map();
+      this.registerClass(classData);
+      fileData?.classes.set(classData.name, classData);
+    }
+
+    for (const functionData of data.functions) {
+      this.registerFunction(functionData.fullName, functionData);
+      this.fileIndex.get(this.normalizeFilePath(functionData.file))?.functions.set(functionData.name, functionData);
+    }
+
+    this.namespaces = data.namespaces;
+    this.filePriorities = data.priorities;
+
+    this.postProcessIndex();
+    return true;
+  }
+
+  /**
+   * Get the directories and files to index for a root. A root with a
+   * composer.json only indexes its autoloaded source, plus the autoloaded
+   * source of the packages installed in its vendor directory. Virions
+   * declared in a .poggit.yml are indexed as well.
+   * @param {string} rootPath Root directory
+   * @returns {Promise<string[]>} Paths to scan
+   */
+  async getSourcePaths(rootPath) {
+    const paths = [];
+
+    const composer = await this.readJsonFile(`${rootPath}/composer.json`);
+    const autoloadPaths = this.getAutoloadPaths(composer?.autoload);
+    if (autoloadPaths.length) {
+      paths.push(...autoloadPaths.map(path => joinPath(rootPath, path)));
+    } else {
+      paths.push(rootPath);
+    }
+
+    // Composer 1 writes a plain package list, composer 2 wraps it
+    const installed = await this.readJsonFile(`${rootPath}/vendor/composer/installed.json`);
+    const packages = Array.isArray(installed) ? installed : installed?.packages || [];
+    for (const pkg of packages) {
+      const packagePath = pkg['install-path'] ?
+        joinPath(`${rootPath}/vendor/composer`, pkg['install-path']) :
+        `${rootPath}/vendor/${pkg.name}`;
+      for (const path of this.getAutoloadPaths(pkg.autoload)) {
+        paths.push(joinPath(packagePath, path));
+      }
+    }
+
+    const poggit = await this.readTextFile(`${rootPath}/.poggit.yml`);
+    for (const lib of poggit ? parsePoggitLibs(poggit) : []) {
+      const virionPath = await this.findVirion(rootPath, lib);
+      if (virionPath) {
+        paths.push(virionPath);
+      }
+    }
+
+    return [...new Set(paths)];
+  }
+
+  /**
+   * Get the paths of a composer autoload section
+   * @param {Object} autoload The `autoload` object of composer.json
+   * @returns {string[]} Relative directories and files
+   */
+  getAutoloadPaths(autoload) {
+    if (!autoload) return [];
+
+    const paths = [];
+    for (const type of ['psr-4', 'psr-0']) {
+      for (const dirs of Object.values(autoload[type] || {})) {
+        paths.push(...[].concat(dirs));
+      }
+    }
+    paths.push(...(autoload.classmap || []), ...(autoload.files || []));
+
+    return paths;
+  }
+
+  /**
+   * Locate a virion declared in .poggit.yml. Raw virions point into the
+   * project, others are looked up by name in a `virions` directory of the
+   * project or next to it.
+   * @param {string} rootPath Project directory
+   * @param {Object} lib Virion entry with src and vendor
+   * @returns {Promise<string|null>} Virion directory or null if not found
+   */
+  async findVirion(rootPath, lib) {
+    const name = lib.src.replace(/\/+$/, '').split('/').pop();
+    const candidates = lib.vendor === 'raw' ?
+      [joinPath(rootPath, lib.src)] :
+      [`${rootPath}/virions/${name}`, joinPath(rootPath, `../virions/${name}`)];
+
+    for (const candidate of candidates) {
+      try {
+        await acode.fsOperation.lsDir(candidate);
+        return candidate;
+      } catch (error) {
+        // Try the next location
+      }
+    }
+
+    console.warn(`Virion ${lib.src} not found`);
+    return null;
+  }
+
+  /**
+   * Read a text file, returning null if it can't be read
+   * @param {string} filePath Path to the file
+   * @returns {Promise<string|null>} File content
+   */
+  async readTextFile(filePath) {
+    try {
+      return await acode.fsOperation.readFile(filePath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read and parse a JSON file, returning null if it is missing or invalid
+   * @param {string} filePath Path to the file
+   * @returns {Promise<*>} Parsed data
+   */
+  async readJsonFile(filePath) {
+    const content = await this.readTextFile(filePath);
+    if (!content) return null;
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      console.warn(`Invalid JSON in ${filePath}:`, error.message);
+      return null;
+    }
   }
 
   /**
    * Find all PHP files in a directory recursively
-   * @param {string} startPath Directory to search
+   * @param {string} startPath Directory to search, or a single PHP file
    * @returns {Promise<string[]>} Array of file paths
    */
   async findPhpFiles(startPath) {
+    // Composer autoload entries may name single files
+    if (startPath.endsWith('.php')) {
+      return [startPath];
+    }
+
     try {
       const fileList = [];
       const visited = new Set(); // Prevent infinite loops with symlinks
@@ -150,6 +646,10 @@ export class PhpIndexer {
               }
             } else if (entry.name.endsWith('.php')) {
               fileList.push(fullPath);
+              // Listings may carry the stat, the others are stat'ed in batches later
+              if (entry.lastModified !== undefined) {
+                this.fileStats.set(this.normalizeFilePath(fullPath), { size: entry.length, lastModified: entry.lastModified });
+              }
             }
           }
         } catch (error) {
@@ -166,12 +666,31 @@ export class PhpIndexer {
     }
   }
 
+  /**
+   * Get the size and modification time of a file
+   * @param {string} filePath Path to the file
+   * @returns {Promise<Object>} Object with size and lastModified
+   */
+  async getFileStat(filePath) {
+    try {
+      if (acode.fsOperation.stat) {
+        const stat = await acode.fsOperation.stat(filePath);
+        return { size: stat.length, lastModified: stat.lastModified };
+      }
+    } catch (error) {
+      console.warn(`Cannot stat ${filePath}:`, error.message);
+    }
+
+    return { size: undefined, lastModified: undefined };
+  }
+
   /**
    * Check if a directory should be skipped
    * @param {string} dirName Directory name
    * @returns {boolean} True if should skip
    */
   shouldSkipDirectory(dirName) {
+    // vendor is reached through composer's installed.json instead
     const skipDirs = [
       'node_modules', '.git', '.svn', '.hg',
       'vendor', 'cache', 'tmp', 'temp',
@@ -189,30 +708,169 @@ export class PhpIndexer {
     try {
       // Read the file content
       const content = await acode.fsOperation.readFile(filePath);
+      this.processPhpContent(filePath, content);
+    } catch (error) {
+      console.error(`Error processing file ${filePath}:`, error);
+    }
+  }
 
-      // Initialize file context
-      this.currentFile = filePath;
-      this.currentNamespace = '';
-      this.currentClass = null;
-      this.currentFunction = null;
-
-      // Initialize file index
-      const fileKey = this.normalizeFilePath(filePath);
-      this.fileIndex.set(fileKey, {
-        path: filePath,
-        namespace: '',
-        uses: new Map(),
-        classes: new Map(),
-        functions: new Map(),
-        lastModified: Date.now()
-      });
+  /**
+   * Parse PHP content into the index under a file path
+   * @param {string} filePath Path the content belongs to
+   * @param {string} content PHP source
+   */
+  processPhpContent(filePath, content) {
+    // Initialize file context
+    this.currentFile = filePath;
+    this.currentNamespace = '';
+    this.currentClass = null;
+    this.currentFunction = null;
 
-      // Tokenize and parse the content
-      const tokens = this.tokenize(content);
-      await this.parseTokens(tokens, fileKey);
+    // Initialize file index
+    const fileKey = this.normalizeFilePath(filePath);
+    const stat = this.fileStats.get(fileKey) || {};
+    const priority = this.filePriorities.get(fileKey) || 0;
+    this.fileIndex.set(fileKey, {
+      path: filePath,
+      namespace: '',
+      uses: new Map(),
+      functionUses: new Map(),
+      constUses: new Map(),
+      classes: new Map(),
+      functions: new Map(),
+      lastModified: stat.lastModified !== undefined ? stat.lastModified : Date.now(),
+      size: stat.size ?? content.length,
+      hash: hashContent(content),
+      priority
+    });
 
-    } catch (error) {
-      console.error(`Error processing file ${filePath}:`, error);
+    // Tokenize and parse the content
+    const tokens = this.tokenize(content);
+    this.parseTokens(tokens, fileKey);
+    this.fileIndex.get(fileKey).references = this.collectReferences(tokens);
+  }
+
+  /**
+   * Record the lines on which a file uses each name, so references can be
+   * searched without reading every indexed file
+   * @param {Array} tokens Token array
+   * @returns {Map<string, number[]>} Lower case names, without namespace or $, and the lines using them
+   */
+  collectReferences(tokens) {
+    const references = new Map();
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const prev = tokens[i - 1];
+      const member = (prev?.value === '>' && tokens[i - 2]?.value === '-') ||
+        (prev?.value === ':' && tokens[i - 2]?.value === ':');
+
+      // Static properties are the only variables that name a declaration
+      if (token.type !== TOKEN_TYPES.T_STRING && !(member && token.type === TOKEN_TYPES.T_VARIABLE)) continue;
+      if (prev && (prev.type === TOKEN_TYPES.T_FUNCTION || prev.type === TOKEN_TYPES.T_CONST ||
+        prev.type === TOKEN_TYPES.T_CLASS || prev.type === TOKEN_TYPES.T_INTERFACE ||
+        prev.type === TOKEN_TYPES.T_TRAIT || prev.type === TOKEN_TYPES.T_ENUM)) continue;
+
+      const name = token.value.replace(/^\$/, '').split('\\').pop();
+      if (!name || (!member && this.isReservedName(name))) continue;
+
+      const key = name.toLowerCase();
+      const lines = references.get(key);
+      if (!lines) {
+        references.set(key, [token.line]);
+      } else if (lines[lines.length - 1] !== token.line) {
+        lines.push(token.line);
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Re-index a single file from new content, replacing what it declared
+   * before and re-resolving inheritance of the classes it affects
+   * @param {string} filePath Path of the file
+   * @param {string} content Current content
+   * @param {boolean} saved True if the content matches the file on disk
+   */
+  async updateFile(filePath, content, saved = true) {
+    const fileKey = this.normalizeFilePath(filePath);
+
+    // Unsaved content must be parsed again from disk by the next full index
+    const stat = saved ? await this.getFileStat(filePath) : { size: undefined, lastModified: null };
+
+    const previous = this.fileIndex.get(fileKey);
+    const changed = new Set(previous ? [...previous.classes.values()].map(classData => classData.fullName) : []);
+
+    this.removeFileFromIndex(filePath);
+    this.fileStats.set(fileKey, stat);
+    this.processPhpContent(filePath, content);
+
+    for (const classData of this.fileIndex.get(fileKey).classes.values()) {
+      if (this.classes.get(classData.fullName) === classData) this.linkDependents(classData);
+      changed.add(classData.fullName);
+    }
+
+    this.refreshInheritance(changed);
+    this.documentCache = null;
+  }
+
+  /**
+   * Re-resolve inheritance for changed classes and the classes extending,
+   * implementing or using them, directly or through other classes
+   * @param {Set<string>} changedNames Full names of changed classes
+   */
+  refreshInheritance(changedNames) {
+    const affected = new Set();
+    const pending = [...changedNames];
+    while (pending.length) {
+      const fullName = pending.pop();
+      if (affected.has(fullName)) continue;
+      affected.add(fullName);
+      pending.push(...(this.dependents.get(fullName) || []));
+    }
+
+    const classes = [...affected].map(fullName => this.classes.get(fullName)).filter(Boolean);
+    classes.forEach(classData => this.resetInheritance(classData));
+    classes.forEach(classData => this.resolveInheritance(classData));
+  }
+
+  /**
+   * Names a class extends, implements or uses, keyed the way changes are
+   * reported: qualified as written, so renamed or deleted classes match, and
+   * as resolved in the index
+   * @param {Object} classData Class data object
+   * @returns {Set<string>} Full names
+   */
+  getRelatedNames(classData) {
+    const names = new Set();
+    for (const name of [...classData.extends, ...classData.implements, ...(classData.traits || [])]) {
+      names.add(this.qualifyClassName(name, classData));
+      const related = this.resolveClassName(name, classData);
+      if (related) names.add(related.fullName);
+    }
+    return names;
+  }
+
+  /**
+   * Record a class as a dependent of the classes it extends, implements or uses
+   * @param {Object} classData Class data object
+   */
+  linkDependents(classData) {
+    for (const fullName of this.getRelatedNames(classData)) {
+      if (!this.dependents.has(fullName)) this.dependents.set(fullName, new Set());
+      this.dependents.get(fullName).add(classData.fullName);
+    }
+  }
+
+  /**
+   * Forget a class as a dependent of the classes it extends, implements or uses
+   * @param {Object} classData Class data object
+   */
+  unlinkDependents(classData) {
+    for (const fullName of this.getRelatedNames(classData)) {
+      this.dependents.get(fullName)?.delete(classData.fullName);
+      if (this.dependents.get(fullName)?.size === 0) this.dependents.delete(fullName);
     }
   }
 
@@ -255,12 +913,26 @@ export class PhpIndexer {
           type: TOKEN_TYPES.T_OPEN_TAG,
           value: '<?php',
           line,
-          column
+          column,
+          offset: i
         });
         i += 5;
         continue;
       }
 
+      // Attributes open with #[ and are tokenized like code up to their ]
+      if (content.substr(i, 2) === '#[') {
+        tokens.push({
+          type: TOKEN_TYPES.T_ATTRIBUTE,
+          value: '#[',
+          line,
+          column,
+          offset: i
+        });
+        i += 2;
+        continue;
+      }
+
       // Single line comments
       if (content.substr(i, 2) === '//' || content.substr(i, 1) === '#') {
         const start = i;
@@ -271,7 +943,8 @@ export class PhpIndexer {
           type: TOKEN_TYPES.T_COMMENT,
           value: content.substring(start, i),
           line,
-          column
+          column,
+          offset: start
         });
         continue;
       }
@@ -298,31 +971,45 @@ export class PhpIndexer {
           type: isDocComment ? TOKEN_TYPES.T_DOC_COMMENT : TOKEN_TYPES.T_COMMENT,
           value: content.substring(start, i),
           line,
-          column
+          column,
+          offset: start
         });
         continue;
       }
 
-      // Strings (single and double quoted)
-      if (char === '"' || char === "'") {
-        const quote = char;
+      // Strings (single and double quoted, and backtick shell commands)
+      if (char === '"' || char === "'" || char === '`') {
         const start = i;
-        i++; // Skip opening quote
+        const end = this.findStringEnd(content, i);
 
-        while (i < content.length) {
-          if (content[i] === quote && content[i - 1] !== '\\') {
-            i++; // Include closing quote
-            break;
-          }
-          i++;
-        }
+        tokens.push({
+          type: TOKEN_TYPES.T_STRING_LITERAL,
+          value: content.substring(start, end),
+          line,
+          column,
+          offset: start
+        });
+        line += this.countLines(content, start, end);
+        i = end;
+        continue;
+      }
+
+      // Heredoc and nowdoc
+      HEREDOC_START.lastIndex = i;
+      const heredoc = char === '<' && HEREDOC_START.exec(content);
+      if (heredoc) {
+        const start = i;
+        const end = this.findHeredocEnd(content, HEREDOC_START.lastIndex, heredoc[2]);
 
         tokens.push({
-          type: TOKEN_TYPES.T_STRING,
-          value: content.substring(start, i),
+          type: TOKEN_TYPES.T_STRING_LITERAL,
+          value: content.substring(start, end),
           line,
-          column
+          column,
+          offset: start
         });
+        line += this.countLines(content, start, end);
+        i = end;
         continue;
       }
 
@@ -340,7 +1027,8 @@ export class PhpIndexer {
           type: TOKEN_TYPES.T_VARIABLE,
           value: content.substring(start, i),
           line,
-          column
+          column,
+          offset: start
         });
         continue;
       }
@@ -378,11 +1066,23 @@ export class PhpIndexer {
           case 'implements': type = TOKEN_TYPES.T_IMPLEMENTS; break;
         }
 
+        // enum and readonly are soft keywords, still usable as names
+        const previous = tokens[tokens.length - 1];
+        const isMemberName = previous && (previous.value === '>' || previous.value === ':');
+        if (lowerValue === 'enum' && !isMemberName) {
+          DECLARED_NAME_AHEAD.lastIndex = i;
+          if (DECLARED_NAME_AHEAD.test(content)) type = TOKEN_TYPES.T_ENUM;
+        } else if (lowerValue === 'readonly' && !isMemberName) {
+          CALL_AHEAD.lastIndex = i;
+          if (!CALL_AHEAD.test(content)) type = TOKEN_TYPES.T_READONLY;
+        }
+
         tokens.push({
           type,
           value,
           line,
-          column
+          column,
+          offset: start
         });
         continue;
       }
@@ -392,7 +1092,8 @@ export class PhpIndexer {
         type: 'CHAR',
         value: char,
         line,
-        column
+        column,
+        offset: i
       });
       i++;
     }
@@ -401,12 +1102,95 @@ export class PhpIndexer {
   }
 
   /**
-   * Parse tokens to extract PHP structures
-   * @param {Array} tokens Array of tokens
-   * @param {string} fileKey File key for indexing
+   * Find the end of a quoted string. A backslash escapes the next character,
+   * which in single quoted strings only matters for \\ and \'. Double quoted
+   * and backtick strings may interpolate {$expressions} containing quotes.
+   * @param {string} content PHP source
+   * @param {number} start Offset of the opening quote
+   * @returns {number} Offset after the closing quote, or the end of the content
    */
-  async parseTokens(tokens, fileKey) {
-    let i = 0;
+  findStringEnd(content, start) {
+    const quote = content[start];
+    let i = start + 1;
+
+    while (i < content.length) {
+      if (content[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (content[i] === quote) return i + 1;
+      if (quote !== "'" && content[i] === '{' && content[i + 1] === '$') {
+        i = this.findInterpolationEnd(content, i);
+        continue;
+      }
+      i++;
+    }
+
+    return content.length;
+  }
+
+  /**
+   * Find the end of a {$expression} interpolated in a string
+   * @param {string} content PHP source
+   * @param {number} start Offset of the opening brace
+   * @returns {number} Offset after the closing brace, or the end of the content
+   */
+  findInterpolationEnd(content, start) {
+    let depth = 0;
+    let i = start;
+
+    while (i < content.length) {
+      const char = content[i];
+      if (char === '"' || char === "'" || char === '`') {
+        i = this.findStringEnd(content, i);
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}' && --depth === 0) return i + 1;
+      i++;
+    }
+
+    return content.length;
+  }
+
+  /**
+   * Find the end of a heredoc or nowdoc body. Since PHP 7.3 the closing
+   * identifier may be indented and followed by more code on its line.
+   * @param {string} content PHP source
+   * @param {number} bodyStart Offset of the first body line
+   * @param {string} identifier Heredoc identifier
+   * @returns {number} Offset after the closing identifier, or the end of the content
+   */
+  findHeredocEnd(content, bodyStart, identifier) {
+    const closing = new RegExp(`^[ \\t]*${identifier}(?![a-zA-Z0-9_])`, 'gm');
+    closing.lastIndex = bodyStart;
+
+    const match = closing.exec(content);
+    return match ? match.index + match[0].length : content.length;
+  }
+
+  /**
+   * Count the line breaks in part of the content
+   * @param {string} content PHP source
+   * @param {number} start Start offset
+   * @param {number} end End offset
+   * @returns {number} Number of line breaks
+   */
+  countLines(content, start, end) {
+    let count = 0;
+    for (let i = content.indexOf('\n', start); i !== -1 && i < end; i = content.indexOf('\n', i + 1)) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Parse tokens to extract PHP structures
+   * @param {Array} tokens Array of tokens
+   * @param {string} fileKey File key for indexing
+   */
+  parseTokens(tokens, fileKey) {
+    let i = 0;
     const fileData = this.fileIndex.get(fileKey);
 
     while (i < tokens.length) {
@@ -424,9 +1208,14 @@ export class PhpIndexer {
         case TOKEN_TYPES.T_CLASS:
         case TOKEN_TYPES.T_INTERFACE:
         case TOKEN_TYPES.T_TRAIT:
+        case TOKEN_TYPES.T_ENUM:
           i = this.parseClass(tokens, i, fileData);
           break;
 
+        case TOKEN_TYPES.T_ATTRIBUTE:
+          i = this.skipAttribute(tokens, i);
+          break;
+
         case TOKEN_TYPES.T_FUNCTION:
           i = this.parseFunction(tokens, i, fileData);
           break;
@@ -443,6 +1232,25 @@ export class PhpIndexer {
     }
   }
 
+  /**
+   * Skip an attribute group such as #[Pure] or #[Attribute(Attribute::TARGET_CLASS)]
+   * @param {Array} tokens Token array
+   * @param {number} start Index of the #[ token
+   * @returns {number} Index after the closing ]
+   */
+  skipAttribute(tokens, start) {
+    let depth = 1;
+    let i = start + 1;
+
+    while (i < tokens.length && depth > 0) {
+      if (tokens[i].value === '[' || tokens[i].type === TOKEN_TYPES.T_ATTRIBUTE) depth++;
+      if (tokens[i].value === ']') depth--;
+      i++;
+    }
+
+    return i;
+  }
+
   /**
    * Parse namespace declaration
    * @param {Array} tokens Token array
@@ -487,41 +1295,86 @@ export class PhpIndexer {
    * @returns {number} Next index
    */
   parseUse(tokens, start, fileData) {
-    let i = start + 1;
+    const { end, imports } = this.readUseStatement(tokens, start);
+
+    // Function and constant imports are kept apart from class imports
+    for (const imported of imports) {
+      if (imported.kind === 'class') {
+        fileData.uses.set(imported.alias, imported.name);
+      } else if (imported.kind === 'function') {
+        // Function names are case insensitive
+        fileData.functionUses.set(imported.alias.toLowerCase(), imported.name);
+      } else {
+        fileData.constUses.set(imported.alias, imported.name);
+      }
+    }
 
-    // Skip whitespace
-    while (i < tokens.length && tokens[i].type === TOKEN_TYPES.T_WHITESPACE) {
+    return end;
+  }
+
+  /**
+   * Read the imports of a use statement, including `use function`,
+   * `use const`, comma separated lists, group use and aliases
+   * @param {Array} tokens Token array
+   * @param {number} start Index of the use keyword
+   * @returns {{end: number, imports: Array<Object>}} Index of the closing ';' and the imports with kind, name and alias
+   */
+  readUseStatement(tokens, start) {
+    let i = start + 1;
+    let kind = 'class';
+    if (tokens[i]?.type === TOKEN_TYPES.T_FUNCTION) {
+      kind = 'function';
+      i++;
+    } else if (tokens[i]?.type === TOKEN_TYPES.T_CONST) {
+      kind = 'const';
       i++;
     }
 
-    // Build use statement
-    let useName = '';
-    let alias = '';
+    const imports = [];
+    let prefix = '';
+    let item = { kind, name: '', alias: '' };
     let inAlias = false;
 
-    while (i < tokens.length && tokens[i].value !== ';') {
-      if (tokens[i].value.toLowerCase() === 'as') {
-        inAlias = true;
-        i++;
-        continue;
+    const finish = () => {
+      if (item.name) {
+        const name = (prefix + item.name).replace(/^\\/, '');
+        imports.push({
+          kind: item.kind,
+          name,
+          alias: item.alias || name.split('\\').pop(),
+          explicitAlias: !!item.alias
+        });
       }
+      item = { kind, name: '', alias: '' };
+      inAlias = false;
+    };
 
-      if (tokens[i].type === TOKEN_TYPES.T_STRING || tokens[i].value === '\\') {
+    for (; i < tokens.length && tokens[i].value !== ';'; i++) {
+      const token = tokens[i];
+
+      if (token.value === '{') {
+        // Group use: the name so far is the shared prefix
+        prefix = item.name;
+        item.name = '';
+      } else if (token.value === ',' || token.value === '}') {
+        finish();
+      } else if (token.type === TOKEN_TYPES.T_FUNCTION && !item.name) {
+        item.kind = 'function';
+      } else if (token.type === TOKEN_TYPES.T_CONST && !item.name) {
+        item.kind = 'const';
+      } else if (token.type === TOKEN_TYPES.T_STRING && token.value.toLowerCase() === 'as') {
+        inAlias = true;
+      } else if (token.type === TOKEN_TYPES.T_STRING || token.value === '\\') {
         if (inAlias) {
-          alias += tokens[i].value;
+          item.alias += token.value;
         } else {
-          useName += tokens[i].value;
+          item.name += token.value;
         }
       }
-      i++;
     }
+    finish();
 
-    if (useName) {
-      const finalAlias = alias || useName.split('\\').pop();
-      fileData.uses.set(finalAlias, useName);
-    }
-
-    return i;
+    return { end: i, imports };
   }
 
   /**
@@ -541,6 +1394,7 @@ export class PhpIndexer {
   while (j >= 0 && tokens[j].type !== 'CHAR') {
     if (tokens[j].type === TOKEN_TYPES.T_ABSTRACT) modifiers.add('abstract');
     if (tokens[j].type === TOKEN_TYPES.T_FINAL) modifiers.add('final');
+    if (tokens[j].type === TOKEN_TYPES.T_READONLY) modifiers.add('readonly');
     j--;
   }
 
@@ -554,22 +1408,41 @@ export class PhpIndexer {
   const className = tokens[i].value;
   i++;
 
+  // Backed enums declare the type of their case values: enum Suit: string
+  let backingType = null;
+  if (classType === 'enum' && tokens[i]?.value === ':' && tokens[i + 1]?.type === TOKEN_TYPES.T_STRING) {
+    backingType = tokens[i + 1].value.toLowerCase();
+    i += 2;
+  }
+
   // Parse extends & implements (simple)
+  // Keep the leading backslash of fully qualified names
+  const qualifiedName = (k) => tokens[k - 1].value === '\\' ? `\\${tokens[k].value}` : tokens[k].value;
   const extendsClass = [];
   const implementsInterfaces = [];
   while (i < tokens.length && tokens[i].value !== '{') {
-    if (tokens[i].type === TOKEN_TYPES.T_EXTENDS) {
+    if (tokens[i].type === TOKEN_TYPES.T_EXTENDS && classType === 'interface') {
+      // Interfaces may extend several interfaces
+      i++;
+      while (i < tokens.length && tokens[i].value !== '{') {
+        if (tokens[i].type === TOKEN_TYPES.T_STRING) {
+          extendsClass.push(qualifiedName(i));
+        }
+        i++;
+      }
+    } else if (tokens[i].type === TOKEN_TYPES.T_EXTENDS) {
       i++;
       while (i < tokens.length && tokens[i].type === TOKEN_TYPES.T_WHITESPACE) i++;
+      if (tokens[i]?.value === '\\') i++;
       if (i < tokens.length && tokens[i].type === TOKEN_TYPES.T_STRING) {
-        extendsClass.push(tokens[i].value);
+        extendsClass.push(qualifiedName(i));
         i++;
       }
     } else if (tokens[i].type === TOKEN_TYPES.T_IMPLEMENTS) {
       i++;
       while (i < tokens.length && tokens[i].value !== '{') {
         if (tokens[i].type === TOKEN_TYPES.T_STRING) {
-          implementsInterfaces.push(tokens[i].value);
+          implementsInterfaces.push(qualifiedName(i));
         }
         i++;
       }
@@ -588,15 +1461,22 @@ export class PhpIndexer {
     modifiers,
     extends: extendsClass,
     implements: implementsInterfaces,
+    traits: [],
+    traitRules: [],
     methods: new Map(),
     properties: new Map(),
     constants: new Map(),
     file: this.currentFile,
+    uses: fileData.uses,
     docComment: this.lastDocComment || null,
-    line: tokens[start].line
+    line: tokens[start].line,
+    priority: fileData.priority || 0
   };
+  if (classType === 'enum') {
+    classDefinition.backingType = backingType;
+  }
 
-  this.classes.set(fullClassName, classDefinition);
+  this.registerClass(classDefinition);
   fileData.classes.set(className, classDefinition);
   this.currentClass = classDefinition;
   if (this.currentNamespace && this.namespaces.has(this.currentNamespace)) {
@@ -627,6 +1507,23 @@ export class PhpIndexer {
       continue;
     }
 
+    if (tk.type === TOKEN_TYPES.T_ATTRIBUTE) {
+      i = this.skipAttribute(tokens, i);
+      continue;
+    }
+
+    // Enum cases are indexed next to the class constants
+    if (classType === 'enum' && braceDepth === 1 &&
+        tk.type === TOKEN_TYPES.T_STRING && tk.value.toLowerCase() === 'case') {
+      i = this.parseEnumCase(tokens, i);
+      continue;
+    }
+
+    if (tk.type === TOKEN_TYPES.T_USE && braceDepth === 1) {
+      i = this.parseTraitUse(tokens, i, classDefinition);
+      continue;
+    }
+
     // If next token indicates function (method)
     if (tk.type === TOKEN_TYPES.T_FUNCTION) {
       i = this.parseFunction(tokens, i, fileData);
@@ -638,6 +1535,7 @@ export class PhpIndexer {
         tk.type === TOKEN_TYPES.T_PROTECTED ||
         tk.type === TOKEN_TYPES.T_PRIVATE ||
         tk.type === TOKEN_TYPES.T_STATIC ||
+        tk.type === TOKEN_TYPES.T_READONLY ||
         tk.type === TOKEN_TYPES.T_CONST) {
       i = this.parseProperty(tokens, i, fileData);
       continue;
@@ -647,11 +1545,176 @@ export class PhpIndexer {
     i++;
   }
 
+  if (classType === 'enum') {
+    this.addEnumMembers(classDefinition);
+  }
+
   // setelah selesai tubuh kelas, clear currentClass
   this.currentClass = null;
   return i;
 }
 
+  /**
+   * Parse the traits used by a class, with their conflict resolution block:
+   * use A, B { A::hello insteadof B; B::hello as protected greet; }
+   * @param {Array} tokens Token array
+   * @param {number} start Index of the use keyword
+   * @param {Object} classData Class using the traits
+   * @returns {number} Next index
+   */
+  parseTraitUse(tokens, start, classData) {
+    let i = start + 1;
+    let name = '';
+
+    while (i < tokens.length && tokens[i].value !== ';' && tokens[i].value !== '{') {
+      if (tokens[i].value === ',') {
+        if (name) classData.traits.push(name);
+        name = '';
+      } else {
+        name += tokens[i].value;
+      }
+      i++;
+    }
+    if (name) classData.traits.push(name);
+
+    if (tokens[i]?.value !== '{') return i + 1;
+
+    let words = [];
+    for (i++; i < tokens.length && tokens[i].value !== '}'; i++) {
+      if (tokens[i].value === ';') {
+        const rule = this.parseTraitRule(words);
+        if (rule) classData.traitRules.push(rule);
+        words = [];
+      } else {
+        words.push(tokens[i].value);
+      }
+    }
+
+    return i + 1;
+  }
+
+  /**
+   * Parse one rule of a trait conflict resolution block
+   * @param {string[]} words Token values of the rule without its ';'
+   * @returns {Object|null} Rule with trait, method and either insteadof or alias and visibility
+   */
+  parseTraitRule(words) {
+    const keyword = words.findIndex(word => ['insteadof', 'as'].includes(word.toLowerCase()));
+    if (keyword < 1) return null;
+
+    // The method may be written with its trait: A::hello
+    const reference = words.slice(0, keyword).join('');
+    const separator = reference.lastIndexOf('::');
+    const trait = separator < 0 ? null : reference.substring(0, separator);
+    const method = separator < 0 ? reference : reference.substring(separator + 2);
+    const rest = words.slice(keyword + 1);
+
+    if (words[keyword].toLowerCase() === 'insteadof') {
+      return { trait, method, insteadof: rest.join('').split(',').filter(Boolean) };
+    }
+
+    const visibility = ['public', 'protected', 'private'].includes(rest[0]?.toLowerCase()) ? rest.shift().toLowerCase() : null;
+    return { trait, method, alias: rest[0] || null, visibility };
+  }
+
+  /**
+   * Parse an enum case: case Hearts; or case Hearts = 'H';
+   * @param {Array} tokens Token array
+   * @param {number} start Index of the case keyword
+   * @returns {number} Next index
+   */
+  parseEnumCase(tokens, start) {
+    let i = start + 1;
+    if (tokens[i]?.type !== TOKEN_TYPES.T_STRING) return i;
+
+    const caseName = tokens[i].value;
+    i++;
+
+    let value = '';
+    if (tokens[i]?.value === '=') {
+      i++;
+      while (i < tokens.length && tokens[i].value !== ';' && tokens[i].value !== '}') {
+        value += tokens[i].value;
+        i++;
+      }
+    }
+    if (tokens[i]?.value === ';') i++;
+
+    this.currentClass.constants.set(caseName, {
+      name: caseName,
+      value: value.trim(),
+      modifiers: new Set(['public', 'case']),
+      class: this.currentClass.name,
+      classFullName: this.currentClass.fullName,
+      file: this.currentFile,
+      line: tokens[start].line,
+      docComment: this.lastDocComment || null
+    });
+
+    this.lastDocComment = null;
+    return i;
+  }
+
+  /**
+   * Add the members PHP gives every enum: cases(), the name property and,
+   * for backed enums, from(), tryFrom() and the value property
+   * @param {Object} enumData Enum class data
+   */
+  addEnumMembers(enumData) {
+    // Built in members have no declaration of their own
+    const member = {
+      class: enumData.name,
+      classFullName: enumData.fullName,
+      file: enumData.file,
+      line: enumData.line,
+      builtin: true
+    };
+    const method = (name, returnType, summary, parameters = []) => ({
+      ...member,
+      name,
+      modifiers: new Set(['public', 'static']),
+      parameters,
+      returnType,
+      docComment: this.parseDocComment(`/** ${summary} */`),
+      endLine: enumData.line,
+      isMethod: true
+    });
+    const property = (name, type) => ({
+      ...member,
+      name,
+      modifiers: new Set(['public', 'readonly']),
+      type,
+      defaultValue: null,
+      docComment: null
+    });
+
+    const members = [
+      method('cases', 'array', 'Get the cases of the enum in declaration order'),
+      property('name', 'string')
+    ];
+
+    if (enumData.backingType) {
+      const valueParam = {
+        name: 'value',
+        type: enumData.backingType,
+        defaultValue: null,
+        isReference: false,
+        isVariadic: false,
+        modifiers: new Set()
+      };
+      members.push(
+        method('from', 'static', 'Get the case with a value, throwing a ValueError if there is none', [valueParam]),
+        method('tryFrom', '?static', 'Get the case with a value, or null if there is none', [valueParam]),
+        property('value', enumData.backingType)
+      );
+    }
+
+    for (const data of members) {
+      const target = data.parameters ? enumData.methods : enumData.properties;
+      if (!target.has(data.name)) target.set(data.name, data);
+    }
+  }
+
   parseProperty(tokens, start, fileData) {
   let i = start;
   const modifiers = new Set();
@@ -663,7 +1726,10 @@ export class PhpIndexer {
     if (t.type === TOKEN_TYPES.T_PROTECTED) { modifiers.add('protected'); i++; continue; }
     if (t.type === TOKEN_TYPES.T_PRIVATE) { modifiers.add('private'); i++; continue; }
     if (t.type === TOKEN_TYPES.T_STATIC) { modifiers.add('static'); i++; continue; }
+    // abstract and final may follow the visibility of a method
+    if (t.type === TOKEN_TYPES.T_ABSTRACT || t.type === TOKEN_TYPES.T_FINAL) { i++; continue; }
     if (t.type === TOKEN_TYPES.T_CONST) { modifiers.add('const'); i++; break; }
+    if (t.type === TOKEN_TYPES.T_READONLY) { modifiers.add('readonly'); i++; continue; }
     // ignore whitespace/comments
     if (t.type === TOKEN_TYPES.T_WHITESPACE || t.type === TOKEN_TYPES.T_COMMENT || t.type === TOKEN_TYPES.T_DOC_COMMENT || (t.type === 'CHAR' && /\s/.test(t.value))) {
       i++; continue;
@@ -671,6 +1737,11 @@ export class PhpIndexer {
     break;
   }
 
+  // Modifiers belong to a method: let parseFunction handle it
+  if (i < tokens.length && tokens[i].type === TOKEN_TYPES.T_FUNCTION) {
+    return i;
+  }
+
   // default visibility public if not set and not const
   if (!modifiers.has('public') && !modifiers.has('protected') && !modifiers.has('private') && !modifiers.has('const')) {
     modifiers.add('public');
@@ -697,6 +1768,8 @@ export class PhpIndexer {
           name: constName,
           value: val.trim(),
           modifiers,
+          class: this.currentClass.name,
+          classFullName: this.currentClass.fullName,
           file: this.currentFile,
           line: tokens[start].line,
           docComment: this.lastDocComment || null
@@ -708,6 +1781,15 @@ export class PhpIndexer {
     // fallback
   }
 
+  // Typed property: collect the declared type before the first variable
+  let propType = '';
+  while (i < tokens.length &&
+    (tokens[i].type === TOKEN_TYPES.T_STRING || tokens[i].type === TOKEN_TYPES.T_STATIC ||
+      (tokens[i].type === 'CHAR' && /[\\?|&()]/.test(tokens[i].value)))) {
+    propType += tokens[i].value;
+    i++;
+  }
+
   // Otherwise parse one or more variables: $a, $b = 1;
   while (i < tokens.length) {
     // skip ignorable
@@ -737,7 +1819,10 @@ export class PhpIndexer {
         this.currentClass.properties.set(propName, {
           name: propName,
           modifiers,
+          type: propType || null,
           defaultValue,
+          class: this.currentClass.name,
+          classFullName: this.currentClass.fullName,
           file: this.currentFile,
           line: varToken.line,
           docComment: this.lastDocComment || null
@@ -805,9 +1890,17 @@ export class PhpIndexer {
     modifiers.add('public');
   }
 
+  // Interface methods are abstract
+  if (this.currentClass?.type === 'interface') {
+    modifiers.add('abstract');
+  }
+
   // Skip ignorable tokens lalu cari nama function
   while (i < tokens.length && isIgnorable(tokens[i])) i++;
 
+  // Functions returning by reference: function &name()
+  if (i < tokens.length && tokens[i].value === '&' && tokens[i + 1]?.type === TOKEN_TYPES.T_STRING) i++;
+
   // Jika tidak ada nama (anonymous closure), skip sampai kita melewati param list & body start
   if (i >= tokens.length || tokens[i].type !== TOKEN_TYPES.T_STRING) {
     // Skip anonymous closure: cari '(' yang start parameter, lalu matching ')' dan '{' (jika ada)
@@ -833,35 +1926,49 @@ export class PhpIndexer {
 
   // --- Parse parameter list ---
   const parameters = [];
+  const parameterLines = [];
   let inParams = false;
   let paramDepth = 0;
+  let arrayDepth = 0;
   let currentParam = '';
 
   while (i < tokens.length) {
     const token = tokens[i];
+    if (inParams && token.type === TOKEN_TYPES.T_ATTRIBUTE) {
+      // Parameter attributes such as #[SensitiveParameter]
+      i = this.skipAttribute(tokens, i);
+      continue;
+    }
+    if (inParams && paramDepth === 1 && !currentParam && token.value !== ')') {
+      parameterLines.push(token.line);
+    }
     if (token.value === '(') {
       inParams = true;
       paramDepth++;
-      currentParam += token.value;
+      // The list's own parenthesis is not part of the first parameter
+      if (paramDepth > 1) currentParam += token.value;
     } else if (token.value === ')') {
       paramDepth--;
       if (paramDepth === 0) {
-        if (currentParam.trim()) {
-          const trimmed = currentParam.replace(/^\(+/, '').replace(/\)+$/, '').trim();
-          if (trimmed) parameters.push(this.parseParameter(trimmed));
-        }
+        const trimmed = currentParam.trim();
+        if (trimmed) parameters.push(this.parseParameter(trimmed));
         currentParam = '';
         i++;
         break;
       } else {
         currentParam += token.value;
       }
-    } else if (inParams && token.value === ',' && paramDepth === 1) {
+    } else if (inParams && token.value === ',' && paramDepth === 1 && arrayDepth === 0) {
       if (currentParam.trim()) parameters.push(this.parseParameter(currentParam.trim()));
       currentParam = '';
       i++;
       continue;
     } else if (inParams) {
+      // Commas in array defaults don't separate parameters
+      if (token.value === '[') arrayDepth++;
+      if (token.value === ']') arrayDepth--;
+      // Tokens carry no whitespace, so keep adjacent words apart (e.g. "Player $player")
+      if (token.type !== 'CHAR' && /\w$/.test(currentParam)) currentParam += ' ';
       currentParam += token.value;
     }
     i++;
@@ -875,13 +1982,32 @@ export class PhpIndexer {
     let typeTokens = '';
     while (i < tokens.length) {
       const tk = tokens[i];
-      if (tk.type === TOKEN_TYPES.T_STRING) { typeTokens += tk.value; i++; continue; }
+      if (tk.type === TOKEN_TYPES.T_STRING || tk.type === TOKEN_TYPES.T_STATIC) { typeTokens += tk.value; i++; continue; }
       if (tk.type === 'CHAR' && /[\\?|]/.test(tk.value)) { typeTokens += tk.value; i++; continue; }
       break;
     }
     returnType = typeTokens.trim() || null;
   }
 
+  // Skip the body so statements inside it are not mistaken for members
+  let endLine = tokens[Math.min(i, tokens.length - 1)]?.line ?? tokens[start].line;
+  while (i < tokens.length && isIgnorable(tokens[i])) i++;
+  if (i < tokens.length && tokens[i].value === '{') {
+    let depth = 0;
+    while (i < tokens.length) {
+      if (tokens[i].value === '{') depth++;
+      if (tokens[i].value === '}') {
+        depth--;
+        if (depth === 0) break;
+      }
+      i++;
+    }
+    endLine = tokens[Math.min(i, tokens.length - 1)].line;
+    i++;
+  } else if (i < tokens.length && tokens[i].value === ';') {
+    i++;
+  }
+
   const functionDefinition = {
     name: functionName,
     modifiers,
@@ -890,15 +2016,41 @@ export class PhpIndexer {
     docComment: this.lastDocComment || null,
     file: this.currentFile,
     line: tokens[start].line,
+    endLine,
     isMethod: this.currentClass !== null,
-    class: this.currentClass?.name || null
+    class: this.currentClass?.name || null,
+    classFullName: this.currentClass?.fullName || null
   };
 
   if (this.currentClass) {
     this.currentClass.methods.set(functionName, functionDefinition);
+
+    // Promoted constructor parameters declare properties
+    if (functionName.toLowerCase() === '__construct') {
+      parameters.forEach((param, index) => {
+        if (!param.modifiers.size) return;
+
+        const propModifiers = new Set(param.modifiers);
+        if (!propModifiers.has('protected') && !propModifiers.has('private')) propModifiers.add('public');
+
+        this.currentClass.properties.set(param.name, {
+          name: param.name,
+          modifiers: propModifiers,
+          type: param.type,
+          defaultValue: null,
+          class: this.currentClass.name,
+          classFullName: this.currentClass.fullName,
+          file: this.currentFile,
+          line: parameterLines[index] ?? tokens[start].line,
+          docComment: null
+        });
+      });
+    }
   } else {
     const fullName = this.currentNamespace ? `${this.currentNamespace}\\${functionName}` : functionName;
-    this.functions.set(fullName, functionDefinition);
+    functionDefinition.fullName = fullName;
+    functionDefinition.priority = fileData.priority || 0;
+    this.registerFunction(fullName, functionDefinition);
     fileData.functions.set(functionName, functionDefinition);
   }
 
@@ -917,11 +2069,19 @@ export class PhpIndexer {
       type: null,
       defaultValue: null,
       isReference: false,
-      isVariadic: false
+      isVariadic: false,
+      modifiers: new Set()
     };
 
-    // Remove extra whitespace
-    paramStr = paramStr.trim();
+    // Remove extra whitespace and separate a type from &/... markers
+    paramStr = paramStr.trim().replace(/^([^=$]*?[\w\]])(&|\.\.\.)\$/, '$1 $2$');
+
+    // Constructor property promotion: public readonly Server $server
+    let modifierMatch;
+    while ((modifierMatch = /^(public|protected|private|readonly)\b\s*/i.exec(paramStr))) {
+      param.modifiers.add(modifierMatch[1].toLowerCase());
+      paramStr = paramStr.substring(modifierMatch[0].length);
+    }
 
     // Check for reference (&)
     if (paramStr.startsWith('&')) {
@@ -935,12 +2095,12 @@ export class PhpIndexer {
       paramStr = paramStr.substring(3).trim();
     }
 
-    // Split by default value (=)
-    const parts = paramStr.split('=');
-    const mainPart = parts[0].trim();
+    // Split by default value (=), which may itself contain '=' (e.g. ['a' => 1])
+    const eqIndex = paramStr.indexOf('=');
+    const mainPart = (eqIndex === -1 ? paramStr : paramStr.substring(0, eqIndex)).trim();
 
-    if (parts.length > 1) {
-      param.defaultValue = parts[1].trim();
+    if (eqIndex !== -1) {
+      param.defaultValue = paramStr.substring(eqIndex + 1).trim();
     }
 
     // Parse type and variable name
@@ -948,13 +2108,23 @@ export class PhpIndexer {
 
     if (tokens.length >= 2) {
       // Has type hint
-      param.type = tokens[0];
+      param.type = tokens[tokens.length - 2];
       param.name = tokens[tokens.length - 1];
     } else if (tokens.length === 1) {
       // Just variable name
       param.name = tokens[0];
     }
 
+    // Reference and variadic markers written between type and name
+    if (param.name.startsWith('&')) {
+      param.isReference = true;
+      param.name = param.name.substring(1);
+    }
+    if (param.name.startsWith('...')) {
+      param.isVariadic = true;
+      param.name = param.name.substring(3);
+    }
+
     // Clean variable name (remove $)
     if (param.name.startsWith('$')) {
       param.name = param.name.substring(1);
@@ -989,7 +2159,7 @@ export class PhpIndexer {
     for (const line of lines) {
       if (line.startsWith('@')) {
         // Parse tag
-        const tagMatch = line.match(/^@(\w+)(?:\s+(.*))?$/);
+        const tagMatch = line.match(/^@([\w-]+)(?:\s+(.*))?$/);
         if (tagMatch) {
           const tagName = tagMatch[1];
           const tagValue = tagMatch[2] || '';
@@ -1023,13 +2193,40 @@ export class PhpIndexer {
    * Post-process the index to resolve inheritance and build caches
    */
   postProcessIndex() {
+    // Drop inherited members so changed parents propagate to subclasses
+    for (const classData of this.classes.values()) {
+      this.resetInheritance(classData);
+    }
+
     // Resolve inheritance chains
     for (const [className, classData] of this.classes) {
       this.resolveInheritance(classData);
     }
 
+    // Map each class to the classes depending on it for single file updates
+    this.dependents.clear();
+    for (const classData of this.classes.values()) {
+      this.linkDependents(classData);
+    }
+
     // Build completion caches
     this.buildCompletionCaches();
+
+    // Documents parsed against the old index must be re-resolved
+    this.documentCache = null;
+  }
+
+  /**
+   * Remove members copied into a class by resolveInheritance
+   * @param {Object} classData Class data object
+   */
+  resetInheritance(classData) {
+    for (const members of [classData.methods, classData.properties, classData.constants]) {
+      for (const [name, member] of members) {
+        if (member.inherited) members.delete(name);
+      }
+    }
+    classData.inheritanceResolved = false;
   }
 
   /**
@@ -1039,6 +2236,12 @@ export class PhpIndexer {
   resolveInheritance(classData) {
     if (classData.inheritanceResolved) return;
 
+    // Mark first so circular declarations can't recurse forever
+    classData.inheritanceResolved = true;
+
+    // Trait members take precedence over inherited ones
+    this.mergeTraits(classData);
+
     // Resolve parent class methods and properties
     for (const parentName of classData.extends) {
       const parentClass = this.resolveClassName(parentName, classData);
@@ -1061,10 +2264,100 @@ export class PhpIndexer {
             classData.properties.set(propName, { ...propData, inherited: true });
           }
         }
+
+        // Inherit constants
+        for (const [constName, constData] of parentClass.constants) {
+          if (!classData.constants.has(constName) && !constData.modifiers.has('private')) {
+            classData.constants.set(constName, { ...constData, inherited: true });
+          }
+        }
       }
     }
 
-    classData.inheritanceResolved = true;
+    // Interface constants and method declarations
+    for (const interfaceName of classData.implements) {
+      const interfaceData = this.resolveClassName(interfaceName, classData);
+      if (!interfaceData) continue;
+
+      this.resolveInheritance(interfaceData);
+      for (const [methodName, methodData] of interfaceData.methods) {
+        if (!classData.methods.has(methodName)) {
+          classData.methods.set(methodName, { ...methodData, inherited: true });
+        }
+      }
+      for (const [constName, constData] of interfaceData.constants) {
+        if (!classData.constants.has(constName)) {
+          classData.constants.set(constName, { ...constData, inherited: true });
+        }
+      }
+    }
+  }
+
+  /**
+   * Copy the members of the traits a class uses into the class, applying
+   * the insteadof and as rules of its trait use block
+   * @param {Object} classData Class data object
+   */
+  mergeTraits(classData) {
+    if (!classData.traits?.length) return;
+
+    const traits = classData.traits.map(name => this.resolveClassName(name, classData)).filter(Boolean);
+    const rules = classData.traitRules.map(rule => ({
+      ...rule,
+      traitData: rule.trait ? this.resolveClassName(rule.trait, classData) : null,
+      excluded: (rule.insteadof || []).map(name => this.resolveClassName(name, classData))
+    }));
+    const isMethod = (rule, name) => rule.method.toLowerCase() === name.toLowerCase();
+
+    // Trait members belong to the using class, so self and private access refer to it
+    const copy = (member, traitData, name = member.name, visibility = null) => {
+      const modifiers = new Set(member.modifiers);
+      if (visibility) {
+        ['public', 'protected', 'private'].forEach(modifier => modifiers.delete(modifier));
+        modifiers.add(visibility);
+      }
+      return {
+        ...member,
+        name,
+        modifiers,
+        class: classData.name,
+        classFullName: classData.fullName,
+        trait: member.trait || traitData.fullName,
+        inherited: true
+      };
+    };
+
+    for (const traitData of traits) {
+      this.resolveInheritance(traitData);
+
+      for (const [methodName, methodData] of traitData.methods) {
+        const excluded = rules.some(rule => rule.insteadof && isMethod(rule, methodName) && rule.excluded.includes(traitData));
+        if (excluded || classData.methods.has(methodName)) continue;
+
+        const visibilityRule = rules.find(rule => !rule.alias && rule.visibility && isMethod(rule, methodName) &&
+          (!rule.traitData || rule.traitData === traitData));
+        classData.methods.set(methodName, copy(methodData, traitData, methodName, visibilityRule?.visibility));
+      }
+
+      for (const members of ['properties', 'constants']) {
+        for (const [name, member] of traitData[members]) {
+          if (!classData[members].has(name)) {
+            classData[members].set(name, copy(member, traitData));
+          }
+        }
+      }
+    }
+
+    // Aliases make a trait method available under a second name
+    for (const rule of rules) {
+      if (!rule.alias || classData.methods.has(rule.alias)) continue;
+
+      const traitData = rule.traitData || traits.find(data => this.findMethod(data, rule.method));
+      const methodData = traitData && this.findMethod(traitData, rule.method);
+      if (methodData) {
+        classData.methods.set(rule.alias, copy(methodData, traitData, rule.alias, rule.visibility));
+      }
+    }
   }
 
   /**
@@ -1074,36 +2367,118 @@ export class PhpIndexer {
    * @returns {Object|null} Resolved class data
    */
   resolveClassName(className, context) {
-    // Try direct lookup first
-    if (this.classes.has(className)) {
-      return this.classes.get(className);
-    }
+    const candidates = [];
+
+    if (className.startsWith('\\')) {
+      // Fully qualified name
+      candidates.push(className.substring(1));
+    } else {
+      // Try direct lookup first
+      candidates.push(className);
+
+      // Try with current namespace
+      if (context.namespace) {
+        candidates.push(`${context.namespace}\\${className}`);
+      }
 
-    // Try with current namespace
-    if (context.namespace) {
-      const namespacedName = `${context.namespace}\\${className}`;
-      if (this.classes.has(namespacedName)) {
-        return this.classes.get(namespacedName);
+      // Try use statements (documents outside the index carry their own)
+      const fileData = context.file ? this.fileIndex.get(this.normalizeFilePath(context.file)) : null;
+      const uses = context.uses || fileData?.uses;
+      if (uses) {
+        const [head, ...rest] = className.split('\\');
+        if (uses.has(head)) {
+          candidates.push([uses.get(head), ...rest].join('\\'));
+        }
       }
     }
 
-    // Try use statements
-    const fileData = this.fileIndex.get(this.normalizeFilePath(context.file));
-    if (fileData && fileData.uses.has(className)) {
-      const fullName = fileData.uses.get(className);
+    for (const fullName of candidates) {
       if (this.classes.has(fullName)) {
         return this.classes.get(fullName);
       }
     }
 
+    // Classes declared in the document being edited
+    if (context.localClasses) {
+      for (const fullName of candidates) {
+        if (context.localClasses.has(fullName)) {
+          return context.localClasses.get(fullName);
+        }
+      }
+    }
+
     return null;
   }
 
   /**
-   * Build completion caches for faster lookups
+   * Resolve a declared type (e.g. "?Player", "Foo|null", "static") to a class
+   * @param {string} type Type string from a hint or PHPDoc tag
+   * @param {Object} context Context used to resolve class names
+   * @param {Object} selfClass Class that self/static/$this refer to
+   * @returns {Object|null} Resolved class data
    */
-  buildCompletionCaches() {
-    // This can be implemented to pre-build completion arrays
+  resolveTypeName(type, context, selfClass = null) {
+    if (!type) return null;
+
+    const candidates = type.replace(/[()]/g, '').split(/[|&]/);
+    for (let candidate of candidates) {
+      candidate = candidate.trim().replace(/^\?/, '');
+      const lower = candidate.toLowerCase();
+
+      if (!candidate || BUILTIN_TYPES.has(lower) || /[\[<{]/.test(candidate)) continue;
+
+      if (lower === 'self' || lower === 'static' || lower === '$this') {
+        if (selfClass) return selfClass;
+        continue;
+      }
+
+      const classData = this.resolveClassName(candidate, context);
+      if (classData) return classData;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the context (namespace and imports) a member was declared in
+   * @param {Object} member Method or property data
+   * @param {Object} fallback Context to use when the file is not indexed
+   * @returns {Object} Context object for resolveClassName
+   */
+  getDeclaringContext(member, fallback) {
+    const fileData = member.file ? this.fileIndex.get(this.normalizeFilePath(member.file)) : null;
+    if (!fileData) return fallback;
+
+    return {
+      namespace: fileData.namespace,
+      uses: fileData.uses,
+      file: member.file
+    };
+  }
+
+  /**
+   * Resolve the class type of a property
+   * @param {Object} classData Class owning the property
+   * @param {string} propName Property name
+   * @returns {Object|null} Class data of the property type
+   */
+  getPropertyType(classData, propName) {
+    const propData = classData.properties.get(propName);
+    if (!propData) return null;
+
+    let type = propData.type;
+    if (!type && propData.docComment && propData.docComment.tags.has('var')) {
+      type = propData.docComment.tags.get('var')[0].split(/\s+/)[0];
+    }
+
+    return this.resolveTypeName(type, this.getDeclaringContext(propData, classData), classData);
+  }
+
+  /**
+   * Build completion caches for faster lookups
+   */
+  buildCompletionCaches() {
+    // This can be implemented to pre-build completion arrays
     // for better performance during actual completion requests
   }
 
@@ -1127,47 +2502,78 @@ export class PhpIndexer {
     this.done.clear();
 
     const lowerPrefix = prefix.toLowerCase();
+    const matches = [...this.classes.values()]
+      .filter(classData => classData.name.toLowerCase().includes(lowerPrefix));
 
-    for (const [fullName, classData] of this.classes) {
-      const className = classData.name;
-
-      // Check if matches prefix
-      if (className.toLowerCase().includes(lowerPrefix)) {
-        // Skip if already added
-        if (this.done.has(className)) continue;
+    // Classes sharing a short name show their namespace
+    const nameCounts = new Map();
+    for (const classData of matches) {
+      nameCounts.set(classData.name, (nameCounts.get(classData.name) || 0) + 1);
+    }
 
-        // Create completion item
-        const completion = {
-          caption: className,
-          value: className,
-          meta: classData.type,
-          score: this.calculateScore(className, prefix, classData),
-          docText: this.formatDocText(classData)
-        };
+    for (const classData of matches) {
+      const className = classData.name;
 
-        // Add constructor snippet if available
-        const constructor = classData.methods.get('__construct');
-        if (constructor) {
-          const params = this.formatParameters(constructor.parameters);
-          completion.snippet = `${className}(${params.snippet})`;
-          completion.docText += `\n\nConstructor: ${params.signature}`;
-        } else {
-          completion.snippet = `${className}()`;
-        }
+      // Skip if already added
+      if (this.done.has(classData.fullName)) continue;
+
+      // Create completion item
+      const ambiguous = nameCounts.get(className) > 1 && classData.namespace;
+      const completion = {
+        caption: ambiguous ? `${className} (${classData.namespace})` : className,
+        value: className,
+        meta: classData.type,
+        score: this.calculateScore(className, prefix, classData),
+        docText: this.formatDocText(classData),
+        // Accepting it imports the class, see planClassCompletion
+        importClass: classData.fullName
+      };
 
-        // Add namespace info
-        if (classData.namespace) {
-          completion.docText += `\n\nNamespace: ${classData.namespace}`;
-        }
+      // Add constructor snippet if available
+      const constructor = classData.methods.get('__construct');
+      if (constructor) {
+        const params = this.formatParameters(constructor.parameters);
+        completion.snippet = `${className}(${params.snippet})`;
+        completion.docText += `\n\nConstructor: ${params.signature}`;
+      } else {
+        completion.snippet = `${className}()`;
+      }
 
-        completions.push(completion);
-        this.done.add(className);
+      // Add namespace info
+      if (classData.namespace) {
+        completion.docText += `\n\nNamespace: ${classData.namespace}`;
       }
+
+      completions.push(completion);
+      this.done.add(classData.fullName);
     }
 
     return this.sortCompletions(completions, prefix);
   }
 
+  /**
+   * Plan the insertion of an accepted class completion: the typed name is
+   * replaced by the class as it can be written here, and its use statement
+   * is added if needed
+   * @param {Object} context Document context (source, offset, file)
+   * @param {string} fullName Completed class
+   * @param {string} snippet Snippet of the completion, starting with the class name
+   * @returns {{start: number, end: number, name: string, snippet: string, edits: Array<Object>}} Range of the typed name, the name and snippet to insert there and the import edits, which all come before the range
+   */
+  planClassCompletion(context, fullName, snippet) {
+    const document = this.parseDocument(context.source, context.file);
+    const plan = this.planImport(document, fullName);
+    const shortName = fullName.split('\\').pop();
+
+    return {
+      start: context.source.substring(0, context.offset).search(/\\?[\w\\]*$/),
+      end: context.offset,
+      name: plan.name,
+      snippet: snippet.replace(shortName, plan.name.replace(/\\/g, '\\\\')),
+      edits: plan.edit ? [plan.edit] : []
+    };
+  }
+
   /**
    * Get method completions for -> statements
    * @param {string} prefix Current prefix
@@ -1186,8 +2592,13 @@ export class PhpIndexer {
     if (classContext) {
       // Get methods from specific class
       for (const [methodName, methodData] of classContext.methods) {
+        // cases(), from() and tryFrom() are called on the enum, not on a case
+        if (methodData.builtin && methodData.modifiers.has('static')) continue;
+        // Constructors are not called on an instance
+        if (methodName.toLowerCase() === '__construct') continue;
+
         if (methodName.toLowerCase().startsWith(lowerPrefix) &&
-          (methodData.modifiers.has('public') || context.inSameClass)) {
+          this.isAccessible(methodData, context)) {
 
           if (this.done.has(methodName)) continue;
 
@@ -1200,7 +2611,7 @@ export class PhpIndexer {
       // Get properties
       for (const [propName, propData] of classContext.properties) {
         if (propName.toLowerCase().startsWith(lowerPrefix) &&
-          (propData.modifiers.has('public') || context.inSameClass) &&
+          this.isAccessible(propData, context) &&
           !propData.modifiers.has('static')) {
 
           if (this.done.has(propName)) continue;
@@ -1256,9 +2667,12 @@ export class PhpIndexer {
     if (classContext) {
       // Get static methods from specific class
       for (const [methodName, methodData] of classContext.methods) {
+        // parent:: can only call implemented methods
+        if (context.parentCall && methodData.modifiers.has('abstract')) continue;
+
         if (methodName.toLowerCase().startsWith(lowerPrefix) &&
-          methodData.modifiers.has('static') &&
-          (methodData.modifiers.has('public') || context.inSameClass)) {
+          (methodData.modifiers.has('static') || context.scopedCall) &&
+          this.isAccessible(methodData, context)) {
 
           if (this.done.has(methodName)) continue;
 
@@ -1272,7 +2686,7 @@ export class PhpIndexer {
       for (const [propName, propData] of classContext.properties) {
         if (propName.toLowerCase().startsWith(lowerPrefix) &&
           (propData.modifiers.has('static') || propData.type === PROPERTY_CONST) &&
-          (propData.modifiers.has('public') || context.inSameClass)) {
+          this.isAccessible(propData, context)) {
 
           if (this.done.has(propName)) continue;
 
@@ -1292,14 +2706,14 @@ export class PhpIndexer {
       // Get constants
       for (const [constName, constData] of classContext.constants) {
         if (constName.toLowerCase().startsWith(lowerPrefix) &&
-          (constData.modifiers.has('public') || context.inSameClass)) {
+          this.isAccessible(constData, context)) {
 
           if (this.done.has(constName)) continue;
 
           const completion = {
             caption: constName,
             value: constName,
-            meta: 'constant',
+            meta: constData.modifiers.has('case') ? 'enum case' : 'constant',
             score: this.calculateScore(constName, prefix, constData),
             docText: this.formatDocText(constData)
           };
@@ -1408,283 +2822,2519 @@ export class PhpIndexer {
 
   /**
    * Infer class context from current position
-   * @param {Object} context Current context
+   * @param {Object} context Current context (source, offset, file)
+   * @param {Object} [scope] Scope at the offset, if already known
    * @returns {Object|null} Class data or null
    */
-  inferClassContext(context) {
-    // This would analyze the current code context to determine
-    // what class we're working with. For now, return null.
-    // In a full implementation, this would:
-    // 1. Look at variable assignments ($obj = new ClassName())
-    // 2. Analyze method return types
-    // 3. Check PHPDoc @var annotations
-    // 4. Use type hints from function parameters
+  inferClassContext(context, scope = null) {
+    if (!context || typeof context.source !== 'string') return null;
 
-    return null;
+    const offset = context.offset ?? context.source.length;
+    scope = scope || this.getScopeAt(context.source, offset, context.file);
+    const access = this.getMemberAccess(scope, offset);
+    if (!access) return null;
+
+    const chain = this.readChain(scope.tokens, access.end);
+    const classData = chain ? this.resolveChain(chain, scope) : null;
+    if (!classData) return null;
+
+    // Record what the enclosing class may access on the receiver
+    context.inSameClass = !!scope.currentClass && this.isSubclassOf(scope.currentClass, classData);
+    context.className = scope.currentClass?.fullName || null;
+
+    // self::, static:: and parent:: can also reach instance methods
+    const baseName = chain.base.name.toLowerCase();
+    context.scopedCall = access.operator === '::' && chain.members.length === 0 &&
+      chain.base.type === 'class' && ['self', 'static', 'parent'].includes(baseName);
+    context.parentCall = context.scopedCall && baseName === 'parent';
+
+    return classData;
   }
 
   /**
-   * Create method completion item
-   * @param {string} methodName Method name
-   * @param {Object} methodData Method data
-   * @returns {Object} Completion item
+   * Check whether a member is visible from the completion context
+   * @param {Object} member Method, property or constant data
+   * @param {Object} context Context filled in by inferClassContext
+   * @returns {boolean} True if the member can be accessed
    */
-  createMethodCompletion(methodName, methodData) {
-    const params = this.formatParameters(methodData.parameters);
+  isAccessible(member, context) {
+    if (member.modifiers.has('public')) return true;
+    if (!context.inSameClass) return false;
 
-    return {
-      caption: methodName,
-      value: `${methodName}(${params.snippet})`,
-      meta: methodData.modifiers.has('static') ? 'static method' : 'method',
-      score: 1000,
-      docText: this.formatDocText(methodData) + `\n\nSignature: ${methodName}(${params.signature})`
-    };
+    // Private members are only visible inside their declaring class
+    return !member.modifiers.has('private') || !member.classFullName ||
+      member.classFullName === context.className;
   }
 
   /**
-   * Create function completion item
-   * @param {string} functionName Function name
-   * @param {Object} functionData Function data
-   * @returns {Object} Completion item
+   * Check whether a class is, or extends, another class
+   * @param {Object} classData Class to check
+   * @param {Object} ancestor Possible ancestor class
+   * @returns {boolean} True if classData is ancestor or one of its subclasses
    */
-  createFunctionCompletion(functionName, functionData) {
-    const params = this.formatParameters(functionData.parameters);
+  isSubclassOf(classData, ancestor) {
+    const visited = new Set();
+    let current = classData;
+
+    while (current && !visited.has(current.fullName)) {
+      if (current.fullName === ancestor.fullName) return true;
+      visited.add(current.fullName);
+      current = this.getParentClass(current);
+    }
 
-    return {
-      caption: functionName,
-      value: `${functionName}(${params.snippet})`,
-      meta: 'function',
-      score: 900,
-      docText: this.formatDocText(functionData) + `\n\nSignature: ${functionName}(${params.signature})`
-    };
+    return false;
   }
 
   /**
-   * Format parameters for completion
-   * @param {Array} parameters Parameter array
-   * @returns {Object} Formatted parameters
+   * Qualify a class name as written in a file, without requiring the class
+   * to be indexed
+   * @param {string} className Class name as written
+   * @param {Object} context Context with namespace and uses
+   * @returns {string} Fully qualified name without leading backslash
    */
-  formatParameters(parameters) {
-    const snippetParams = [];
-    const signatureParams = [];
-
-    parameters.forEach((param, index) => {
-      let paramStr = '';
+  qualifyClassName(className, context) {
+    if (className.startsWith('\\')) return className.substring(1);
 
-      // Add type hint
-      if (param.type) {
-        paramStr += `${param.type} `;
-      }
+    const [head, ...rest] = className.split('\\');
+    if (context.uses && context.uses.has(head)) {
+      return [context.uses.get(head), ...rest].join('\\');
+    }
 
-      // Add reference indicator
-      if (param.isReference) {
-        paramStr += '&';
-      }
+    return context.namespace ? `${context.namespace}\\${className}` : className;
+  }
 
-      // Add variadic indicator
-      if (param.isVariadic) {
-        paramStr += '...';
+  /**
+   * Check whether a class implements an interface, directly, through a
+   * parent class or through interface inheritance
+   * @param {Object} classData Class to check
+   * @param {string} interfaceName Fully qualified interface name
+   * @returns {boolean} True if the interface is implemented
+   */
+  implementsInterface(classData, interfaceName) {
+    const visited = new Set();
+
+    const check = (data) => {
+      if (!data || visited.has(data.fullName)) return false;
+      visited.add(data.fullName);
+
+      const isInterface = data.type === 'interface';
+      const names = isInterface ? [...data.implements, ...data.extends] : data.implements;
+      for (const name of names) {
+        if (name === interfaceName || this.qualifyClassName(name, data) === interfaceName) return true;
+        if (check(this.resolveClassName(name, data))) return true;
       }
 
-      // Add variable name
-      paramStr += `$${param.name}`;
+      return !isInterface && check(this.getParentClass(data));
+    };
 
-      // Add default value
-      if (param.defaultValue !== null) {
-        paramStr += ` = ${param.defaultValue}`;
-      }
+    return check(classData);
+  }
 
-      signatureParams.push(paramStr);
+  /**
+   * List the indexed events a listener can handle
+   * @returns {Array<{classData: Object, cancellable: boolean}>} Concrete subclasses of Event sorted by name
+   */
+  getEventClasses() {
+    const eventBase = this.classes.get(EVENT_CLASS);
+    if (!eventBase) return [];
 
-      // For snippet, use placeholder
-      const placeholder = param.defaultValue !== null ?
-        `\${${index + 1}:$${param.name}}` :
-        `\${${index + 1}:$${param.name}}`;
+    const events = [];
+    for (const classData of this.classes.values()) {
+      if (classData === eventBase || classData.type !== 'class' || classData.modifiers.has('abstract')) continue;
+      if (!this.isSubclassOf(classData, eventBase)) continue;
 
-      snippetParams.push(placeholder);
-    });
+      events.push({ classData, cancellable: this.implementsInterface(classData, CANCELLABLE_INTERFACE) });
+    }
 
-    return {
-      snippet: snippetParams.join(', '),
-      signature: signatureParams.join(', ')
-    };
+    return events.sort((a, b) => a.classData.name.localeCompare(b.classData.name));
   }
 
   /**
-   * Format documentation text
-   * @param {Object} data Data object with docComment
-   * @returns {string} Formatted documentation
+   * Find the class declaration enclosing an offset, or else the first class
+   * of the document
+   * @param {Object} document Document from parseDocument
+   * @param {number} offset Cursor offset
+   * @returns {Object|null} Class data with the token indices of its keyword and braces
    */
-  formatDocText(data) {
-    if (!data.docComment) {
-      return data.name || 'No documentation available';
-    }
+  findClassDeclaration(document, offset) {
+    const { tokens } = document;
+    let found = null;
 
-    let text = '';
+    for (let i = 0; i < tokens.length; i++) {
+      if ((tokens[i].type !== TOKEN_TYPES.T_CLASS && tokens[i].type !== TOKEN_TYPES.T_ENUM) ||
+        tokens[i - 1]?.value === ':' || tokens[i + 1]?.type !== TOKEN_TYPES.T_STRING) continue;
 
-    if (data.docComment.summary) {
-      text += data.docComment.summary;
-    }
+      let open = i;
+      while (open < tokens.length && tokens[open].value !== '{') open++;
 
-    if (data.docComment.description) {
-      text += (text ? '\n\n' : '') + data.docComment.description;
-    }
+      let close = open;
+      for (let depth = 0; close < tokens.length; close++) {
+        if (tokens[close].value === '{') depth++;
+        if (tokens[close].value === '}' && --depth === 0) break;
+      }
 
-    // Add parameter info
-    if (data.docComment.tags.has('param')) {
-      const params = data.docComment.tags.get('param');
-      text += '\n\nParameters:\n' + params.map(p => `  ${p}`).join('\n');
-    }
+      // Unterminated class body
+      if (close >= tokens.length) continue;
 
-    // Add return info
-    if (data.docComment.tags.has('return')) {
-      const returns = data.docComment.tags.get('return');
-      text += '\n\nReturns: ' + returns[0];
+      const declaration = { name: tokens[i + 1].value, keyword: i, open, close };
+      if (!found || (tokens[i].offset <= offset && offset <= tokens[close].offset)) {
+        found = declaration;
+      }
     }
 
-    return text || (data.name || 'No documentation available');
+    if (!found) return null;
+
+    const fullName = document.namespace ? `${document.namespace}\\${found.name}` : found.name;
+    found.classData = document.classes.get(fullName) || null;
+    return found;
   }
 
   /**
-   * Calculate completion score
-   * @param {string} itemName Item name
-   * @param {string} prefix Search prefix
-   * @param {Object} data Item data
-   * @returns {number} Score
+   * Work out how a document can refer to a class, importing it if needed
+   * @param {Object} document Document from parseDocument
+   * @param {string} fullName Fully qualified class name
+   * @returns {{name: string, import: string|null}} Name to write and the class to import
    */
-  calculateScore(itemName, prefix, data = {}) {
-    let score = 1000;
+  getImportName(document, fullName) {
+    const shortName = fullName.split('\\').pop();
 
-    const lowerItem = itemName.toLowerCase();
-    const lowerPrefix = prefix.toLowerCase();
-
-    // Exact match gets highest score
-    if (lowerItem === lowerPrefix) {
-      score += 500;
-    }
-    // Starts with prefix gets high score
-    else if (lowerItem.startsWith(lowerPrefix)) {
-      score += 300;
-    }
-    // Contains prefix gets medium score
-    else if (lowerItem.includes(lowerPrefix)) {
-      score += 100;
+    for (const [alias, imported] of document.uses) {
+      if (imported === fullName) return { name: alias, import: null };
     }
 
-    // Boost score for public items
-    if (data.modifiers && data.modifiers.has('public')) {
-      score += 50;
+    const separator = fullName.lastIndexOf('\\');
+    const namespace = separator === -1 ? '' : fullName.substring(0, separator);
+    if (namespace === document.namespace) {
+      return { name: shortName, import: null };
     }
 
-    // Boost score for commonly used methods
-    const commonMethods = ['__construct', 'getName', 'getId', 'toString', 'getValue'];
-    if (commonMethods.includes(itemName)) {
-      score += 25;
+    // The short name already means something else here
+    const localName = document.namespace ? `${document.namespace}\\${shortName}` : shortName;
+    if (document.uses.has(shortName) || document.classes.has(localName)) {
+      return { name: `\\${fullName}`, import: null };
     }
 
-    return score;
+    return { name: shortName, import: fullName };
   }
 
   /**
-   * Sort completions by score and relevance
-   * @param {Array} completions Completion array
-   * @param {string} prefix Search prefix
-   * @returns {Array} Sorted completions
+   * Find the top level use statements of a document and the end of its
+   * header (open tag, declare and namespace statements)
+   * @param {Object} document Document from parseDocument
+   * @returns {{statements: Array<Object>, headerEnd: number}} Use statements with start, end, kind and name
    */
-  sortCompletions(completions, prefix) {
-    return completions.sort((a, b) => {
-      // First sort by score (descending)
-      if (a.score !== b.score) {
-        return b.score - a.score;
-      }
+  getUseStatements(document) {
+    const { tokens } = document;
+    const statementEnd = (index) => {
+      while (index < tokens.length && tokens[index].value !== ';' && tokens[index].value !== '{') index++;
+      return index;
+    };
 
-      // Then by caption length (ascending - shorter names first)
-      if (a.caption.length !== b.caption.length) {
-        return a.caption.length - b.caption.length;
+    const statements = [];
+    let headerEnd = 0;
+    let depth = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.value === '{') depth++;
+      if (token.value === '}') depth--;
+
+      if (depth === 0 && token.type === TOKEN_TYPES.T_USE) {
+        const { end, imports } = this.readUseStatement(tokens, i);
+
+        statements.push({
+          start: token.offset,
+          end: end < tokens.length ? tokens[end].offset + 1 : token.offset,
+          startIndex: i,
+          endIndex: end,
+          kind: imports.length ? imports[0].kind : 'class',
+          name: imports.length ? imports[0].name : '',
+          imports
+        });
+        i = end;
+      } else if (token.type === TOKEN_TYPES.T_NAMESPACE) {
+        const end = statementEnd(i);
+        if (end < tokens.length) headerEnd = tokens[end].offset + 1;
+      } else if (token.type === TOKEN_TYPES.T_OPEN_TAG && !headerEnd) {
+        headerEnd = token.offset + token.value.length;
+        // Keep declare(strict_types=1) right after the open tag
+        if (tokens[i + 1]?.value.toLowerCase() === 'declare') {
+          const end = statementEnd(i + 1);
+          if (end < tokens.length) headerEnd = tokens[end].offset + 1;
+        }
+      } else if (token.type === TOKEN_TYPES.T_CLASS || token.type === TOKEN_TYPES.T_INTERFACE ||
+        token.type === TOKEN_TYPES.T_TRAIT || token.type === TOKEN_TYPES.T_ENUM ||
+        token.type === TOKEN_TYPES.T_FUNCTION || token.type === TOKEN_TYPES.T_ATTRIBUTE) {
+        break;
       }
+    }
 
-      // Finally alphabetically
-      return a.caption.localeCompare(b.caption);
-    });
+    return { statements, headerEnd };
   }
 
   /**
-   * Get statistics about the indexed data
-   * @returns {Object} Statistics object
+   * Format imports inserted at the end of the header, with a blank line
+   * before them and before the code that follows
+   * @param {Object} document Document from parseDocument
+   * @param {number} headerEnd Offset the header ends at
+   * @param {string} text Use statements
+   * @returns {string} Text to insert
    */
-  getStatistics() {
-    return {
-      classes: this.classes.size,
-      interfaces: this.interfaces.size,
-      traits: this.traits.size,
-      functions: this.functions.size,
-      namespaces: this.namespaces.size,
-      files: this.fileIndex.size,
-      totalMethods: Array.from(this.classes.values())
-        .reduce((sum, cls) => sum + cls.methods.size, 0),
-      totalProperties: Array.from(this.classes.values())
-        .reduce((sum, cls) => sum + cls.properties.size, 0)
-    };
+  formatHeaderImports(document, headerEnd, text) {
+    const { tokens } = document;
+    const index = tokens.findIndex(token => token.offset >= headerEnd);
+    const next = tokens[index];
+    const last = tokens[(index < 0 ? tokens.length : index) - 1];
+    const lineBreaks = next && last ? next.line - last.line - (last.value.match(/\n/g) || []).length : 2;
+
+    return `\n\n${text}${'\n'.repeat(Math.max(0, 2 - lineBreaks))}`;
   }
 
   /**
-   * Search for items by name
-   * @param {string} query Search query
-   * @param {string} type Type filter ('class', 'method', 'function', etc.)
-   * @returns {Array} Search results
+   * Plan the import of a class: the name to write and the use statement to
+   * add in sorted position, if one is needed
+   * @param {Object} document Document from parseDocument
+   * @param {string} fullName Fully qualified class name
+   * @returns {{name: string, edit: Object|null}} Name to write and the insertion of its use statement
    */
-  search(query, type = null) {
-    const results = [];
-    const lowerQuery = query.toLowerCase();
+  planImport(document, fullName) {
+    const { names, edits } = this.planImports(document, [fullName]);
+    return { name: names.get(fullName), edit: edits[0] || null };
+  }
 
-    // Search classes
-    if (!type || type === 'class') {
-      for (const [fullName, classData] of this.classes) {
-        if (classData.name.toLowerCase().includes(lowerQuery)) {
-          results.push({
-            type: 'class',
-            name: classData.name,
-            fullName: fullName,
-            namespace: classData.namespace,
-            file: classData.file,
-            line: classData.line
-          });
-        }
+  /**
+   * Plan the imports of several classes, adding each use statement in
+   * sorted position among the existing class imports
+   * @param {Object} document Document from parseDocument
+   * @param {string[]} fullNames Fully qualified class names
+   * @returns {{names: Map<string, string>, edits: Array<Object>}} Names to write and the insertions
+   */
+  planImports(document, fullNames) {
+    const { statements, headerEnd } = this.getUseStatements(document);
+    const classImports = statements.filter(statement => statement.kind === 'class');
+    const names = new Map();
+    const groups = new Map();
+
+    for (const fullName of fullNames) {
+      const { name, import: importName } = this.getImportName(document, fullName);
+      names.set(fullName, name);
+      if (!importName) continue;
+
+      // Before the first import that sorts after it, else after the last one
+      const key = importName.toLowerCase();
+      const next = classImports.find(statement => statement.name.toLowerCase() > key);
+      let anchor;
+      if (next) {
+        anchor = { offset: next.start, placement: 'before' };
+      } else if (classImports.length) {
+        anchor = { offset: classImports[classImports.length - 1].end, placement: 'after' };
+      } else if (statements.length) {
+        anchor = { offset: statements[0].start, placement: 'before' };
+      } else {
+        anchor = { offset: headerEnd, placement: 'header' };
       }
+
+      const groupKey = `${anchor.offset}:${anchor.placement}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { ...anchor, imports: new Set() });
+      groups.get(groupKey).imports.add(importName);
     }
 
-    // Search methods
-    if (!type || type === 'method') {
-      for (const [className, classData] of this.classes) {
-        for (const [methodName, methodData] of classData.methods) {
-          if (methodName.toLowerCase().includes(lowerQuery)) {
-            results.push({
-              type: 'method',
-              name: methodName,
-              class: classData.name,
-              file: methodData.file,
-              line: methodData.line
-            });
-          }
+    const edits = [...groups.values()].map(group => {
+      const lines = [...group.imports]
+        .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()))
+        .map(importName => `use ${importName};`);
+
+      if (group.placement === 'before') return { offset: group.offset, text: `${lines.join('\n')}\n` };
+      if (group.placement === 'after') return { offset: group.offset, text: `\n${lines.join('\n')}` };
+      return { offset: group.offset, text: this.formatHeaderImports(document, group.offset, lines.join('\n')) };
+    });
+
+    return { names, edits };
+  }
+
+  /**
+   * Collect the names a document refers to after its imports
+   * @param {Array} tokens Document tokens
+   * @param {number} start Index of the first token to look at
+   * @returns {{heads: Set<string>, classNames: Set<string>}} Lowercased first segments of every name, and unqualified names used as classes
+   */
+  collectNameReferences(tokens, start) {
+    const heads = new Set();
+    const classNames = new Set();
+    let inClassList = false;
+
+    for (let i = start; i < tokens.length; i++) {
+      const token = tokens[i];
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+
+      // Doc comments name classes too
+      if (token.type === TOKEN_TYPES.T_DOC_COMMENT) {
+        for (const word of token.value.match(/[A-Za-z_][\w\\]*/g) || []) {
+          heads.add(word.split('\\')[0].toLowerCase());
         }
+        continue;
       }
-    }
 
-    // Search functions
-    if (!type || type === 'function') {
-      for (const [fullName, functionData] of this.functions) {
-        if (functionData.name.toLowerCase().includes(lowerQuery)) {
-          results.push({
-            type: 'function',
-            name: functionData.name,
-            fullName: fullName,
-            file: functionData.file,
-            line: functionData.line
+      // Trait uses list classes like extends does, closure uses list variables
+      if (token.type === TOKEN_TYPES.T_EXTENDS || token.type === TOKEN_TYPES.T_IMPLEMENTS ||
+        (token.type === TOKEN_TYPES.T_USE && next?.value !== '(')) {
+        inClassList = true;
+        continue;
+      }
+      if (token.value === '{' || token.value === ';') inClassList = false;
+      if (token.type !== TOKEN_TYPES.T_STRING) continue;
+
+      // Fully qualified names, member names and declared names
+      const member = (prev?.value === '>' && tokens[i - 2]?.value === '-') ||
+        (prev?.value === ':' && tokens[i - 2]?.value === ':');
+      const declaration = prev && (prev.type === TOKEN_TYPES.T_FUNCTION || prev.type === TOKEN_TYPES.T_CONST ||
+        prev.type === TOKEN_TYPES.T_CLASS || prev.type === TOKEN_TYPES.T_INTERFACE || prev.type === TOKEN_TYPES.T_TRAIT ||
+        prev.type === TOKEN_TYPES.T_ENUM);
+      if (prev?.value === '\\' || member || declaration) continue;
+
+      heads.add(token.value.split('\\')[0].toLowerCase());
+
+      if (!token.value.includes('\\') && !this.isReservedName(token.value) &&
+        this.isClassPosition(tokens, i, inClassList)) {
+        classNames.add(token.value);
+      }
+    }
+
+    return { heads, classNames };
+  }
+
+  /**
+   * Check whether a name is a keyword or builtin type rather than a class
+   * @param {string} name Name as written
+   * @returns {boolean} True for reserved names
+   */
+  isReservedName(name) {
+    const lower = name.toLowerCase();
+    return BUILTIN_TYPES.has(lower) || NON_TYPE_KEYWORDS.has(lower) || CONTROL_KEYWORDS.has(lower) ||
+      ['self', 'static', 'parent'].includes(lower);
+  }
+
+  /**
+   * Check whether the name token at an index is used as a class: after new
+   * or instanceof, before ::, in type hints, attributes and extends/implements lists
+   * @param {Array} tokens Token array
+   * @param {number} i Index of the name token
+   * @param {boolean} inClassList True inside an extends or implements list
+   * @returns {boolean} True if the name refers to a class
+   */
+  isClassPosition(tokens, i, inClassList) {
+    // Look past the leading backslash of fully qualified names
+    const p = tokens[i - 1]?.value === '\\' ? i - 2 : i - 1;
+    const prev = tokens[p];
+    const next = tokens[i + 1];
+
+    return inClassList || prev?.type === TOKEN_TYPES.T_ATTRIBUTE ||
+      ['new', 'instanceof', 'insteadof'].includes(prev?.value.toLowerCase()) ||
+      (next?.value === ':' && tokens[i + 2]?.value === ':') ||
+      next?.type === TOKEN_TYPES.T_VARIABLE || next?.value === '&' ||
+      (next?.value === '.' && tokens[i + 2]?.value === '.') ||
+      next?.value === '|' || prev?.value === '|' ||
+      (prev?.value === '?' && ['(', ',', ':'].includes(tokens[p - 1]?.value)) ||
+      (prev?.value === ':' && tokens[p - 1]?.value === ')') ||
+      (prev?.value === '(' && tokens[p - 1]?.value.toLowerCase() === 'catch');
+  }
+
+  /**
+   * Look for a declaration in a class, its parents and its interfaces
+   * @param {Object} classData Class to search
+   * @param {Function} find Returns true if a class declares what is looked for
+   * @returns {boolean} True if found, or if an ancestor is not indexed and might declare it
+   */
+  findInHierarchy(classData, find) {
+    const visited = new Set();
+    let unresolved = false;
+
+    const visit = (data) => {
+      if (visited.has(data.fullName)) return false;
+      visited.add(data.fullName);
+      if (find(data)) return true;
+
+      for (const name of [...data.extends, ...data.implements]) {
+        const parent = this.resolveClassName(name, data);
+        if (!parent) {
+          unresolved = true;
+        } else if (visit(parent)) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    return visit(classData) || unresolved;
+  }
+
+  /**
+   * Find references in a document that can't be resolved against the index:
+   * unknown classes, undefined class constants and methods missing on the
+   * inferred receiver type
+   * @param {Object} context Document context (source, file)
+   * @returns {Array<Object>} Ace annotations
+   */
+  getDiagnostics(context) {
+    if (!context || typeof context.source !== 'string' || this.classes.size === 0) return [];
+
+    const { source } = context;
+    const document = this.parseDocument(source, context.file);
+    const { tokens } = document;
+    const scope = {
+      file: context.file,
+      namespace: document.namespace,
+      uses: document.uses,
+      localClasses: document.classes
+    };
+
+    // Imports are checked where the imported names are used
+    const imports = new Set();
+    for (const statement of this.getUseStatements(document).statements) {
+      for (let k = statement.startIndex; k <= statement.endIndex; k++) imports.add(k);
+    }
+
+    const knownRoots = new Set([...this.namespaces.keys(), document.namespace]
+      .filter(Boolean)
+      .map(namespace => namespace.split('\\')[0].toLowerCase()));
+    const annotations = [];
+    const report = (token, text, type) => {
+      annotations.push({
+        row: token.line - 1,
+        column: token.offset - (source.lastIndexOf('\n', token.offset - 1) + 1),
+        text,
+        type
+      });
+    };
+
+    // Member references are checked in document order
+    const scopeAt = this.createScopeReader(source, context.file);
+
+    let inClassList = false;
+    let inTraitList = false;
+    let inTraitRules = false;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (token.type === TOKEN_TYPES.T_EXTENDS || token.type === TOKEN_TYPES.T_IMPLEMENTS) {
+        inClassList = true;
+        continue;
+      }
+      if (token.type === TOKEN_TYPES.T_USE && !imports.has(i) && tokens[i + 1]?.value !== '(') {
+        inClassList = true;
+        inTraitList = true;
+        continue;
+      }
+
+      // Trait conflict rules name methods without a receiver: A::hello insteadof B;
+      if (token.value === '{') inTraitRules = inTraitList;
+      if (token.value === '{' || token.value === ';') {
+        inClassList = false;
+        inTraitList = false;
+      }
+      if (token.value === '}') inTraitRules = false;
+      if (token.type !== TOKEN_TYPES.T_STRING || imports.has(i)) continue;
+
+      const prev = tokens[i - 1];
+      const isStatic = prev?.value === ':' && tokens[i - 2]?.value === ':';
+      const isInstance = prev?.value === '>' && tokens[i - 2]?.value === '-';
+
+      if (isStatic || isInstance) {
+        if (!inTraitRules) this.checkMemberReference(context, tokens, i, isStatic, report, scopeAt);
+        continue;
+      }
+
+      if (this.isReservedName(token.value) || !this.isClassPosition(tokens, i, inClassList)) continue;
+
+      const name = prev?.value === '\\' ? `\\${token.value}` : token.value;
+      if (this.resolveClassName(name, scope)) continue;
+
+      // PHP's own classes live in the global namespace and are not indexed
+      const fullName = this.qualifyClassName(name, scope);
+      if (!fullName.includes('\\')) continue;
+
+      if (knownRoots.has(fullName.split('\\')[0].toLowerCase())) {
+        report(token, `Unknown class ${fullName}`, 'error');
+      } else {
+        report(token, `Class ${fullName} is not in the index`, 'warning');
+      }
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Check a method call or class constant against the receiver's class
+   * @param {Object} context Document context (source, file)
+   * @param {Array} tokens Document tokens
+   * @param {number} i Index of the member name
+   * @param {boolean} isStatic True after ::
+   * @param {Function} report Annotation callback
+   * @param {Function} scopeAt Scope reader of the document from createScopeReader
+   */
+  checkMemberReference(context, tokens, i, isStatic, report, scopeAt) {
+    const token = tokens[i];
+    const isCall = tokens[i + 1]?.value === '(';
+
+    // Properties are not checked
+    if (!isCall && !isStatic) return;
+
+    const classData = this.inferClassContext({ source: context.source, offset: token.offset, file: context.file },
+      scopeAt(token.offset));
+    if (!classData) return;
+
+    const name = token.value;
+    if (isCall) {
+      const magic = isStatic ? '__callStatic' : '__call';
+      const found = this.findInHierarchy(classData, data =>
+        !!this.findMethod(data, name) || data.methods.has(magic));
+      if (!found) {
+        report(token, `Method ${classData.name}::${name}() not found`, 'warning');
+      }
+    } else if (!this.findInHierarchy(classData, data => data.constants.has(name))) {
+      report(token, `Undefined constant ${classData.name}::${name}`, 'error');
+    }
+  }
+
+  /**
+   * Plan the rewrite of a document's use block: drop unused and duplicate
+   * imports, import class names that resolve to a single indexed class,
+   * and sort the result with class, function and const imports in blocks
+   * @param {Object} context Document context (source, file)
+   * @returns {Object|null} Edit with the removed and added counts, or null if the imports are mixed with other code
+   */
+  planOrganizeImports(context) {
+    const document = this.parseDocument(context.source, context.file);
+    const { tokens } = document;
+    const { statements, headerEnd } = this.getUseStatements(document);
+    const first = statements[0];
+    const last = statements[statements.length - 1];
+
+    // The statements must form a single block
+    if (statements.length) {
+      const inBlock = new Set();
+      for (const statement of statements) {
+        for (let k = statement.startIndex; k <= statement.endIndex; k++) inBlock.add(k);
+      }
+      for (let k = first.startIndex; k <= last.endIndex; k++) {
+        if (!inBlock.has(k)) return null;
+      }
+    }
+
+    const bodyStart = statements.length ? last.endIndex + 1 :
+      Math.max(0, tokens.findIndex(token => token.offset >= headerEnd));
+    const { heads, classNames } = this.collectNameReferences(tokens, bodyStart);
+
+    // Keep imports the document uses, once per alias
+    const kept = [];
+    const seen = new Set();
+    let total = 0;
+    for (const statement of statements) {
+      for (const imported of statement.imports) {
+        total++;
+        const alias = imported.alias.toLowerCase();
+        const key = `${imported.kind}:${alias}`;
+        if (seen.has(key) || !heads.has(alias)) continue;
+        seen.add(key);
+        kept.push(imported);
+      }
+    }
+    const removed = total - kept.length;
+
+    // Import class names that resolve to exactly one indexed class
+    const byShortName = new Map();
+    for (const classData of this.classes.values()) {
+      if (!byShortName.has(classData.name)) byShortName.set(classData.name, []);
+      byShortName.get(classData.name).push(classData);
+    }
+
+    let added = 0;
+    for (const name of classNames) {
+      const local = document.namespace ? `${document.namespace}\\${name}` : name;
+      if (seen.has(`class:${name.toLowerCase()}`) || document.classes.has(local) || this.classes.has(local)) continue;
+
+      const candidates = byShortName.get(name) || [];
+      if (candidates.length !== 1) continue;
+
+      kept.push({ kind: 'class', name: candidates[0].fullName, alias: name, explicitAlias: false });
+      seen.add(`class:${name.toLowerCase()}`);
+      added++;
+    }
+
+    const text = ['class', 'function', 'const']
+      .map(kind => kept
+        .filter(imported => imported.kind === kind)
+        .sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+        .map(imported => {
+          const keyword = kind === 'class' ? 'use' : `use ${kind}`;
+          const alias = imported.explicitAlias && imported.alias !== imported.name.split('\\').pop() ?
+            ` as ${imported.alias}` : '';
+          return `${keyword} ${imported.name}${alias};`;
+        })
+        .join('\n'))
+      .filter(Boolean)
+      .join('\n\n');
+
+    if (!statements.length) {
+      return { edit: text ? { offset: headerEnd, text: this.formatHeaderImports(document, headerEnd, text) } : null, removed, added };
+    }
+
+    // Drop an emptied block together with the blank lines after it
+    let end = last.end;
+    if (!text) {
+      while (end < context.source.length && /\s/.test(context.source[end])) end++;
+    }
+
+    return { edit: { offset: first.start, end, text }, removed, added };
+  }
+
+  /**
+   * Plan the insertion of member code before the closing brace of a class
+   * @param {string} source Document content
+   * @param {number} closeOffset Offset of the class's closing brace
+   * @param {string} code Member code, already indented, without surrounding newlines
+   * @returns {{offset: number, text: string, codeStart: number}} Edit and the position of the code inside its text
+   */
+  planMemberInsertion(source, closeOffset, code) {
+    const lineStart = source.lastIndexOf('\n', closeOffset - 1) + 1;
+    const emptyBody = source.substring(0, closeOffset).trimEnd().endsWith('{');
+
+    if (source.substring(lineStart, closeOffset).trim() === '') {
+      const prefix = emptyBody ? '' : '\n';
+      return { offset: lineStart, text: `${prefix}${code}\n`, codeStart: prefix.length };
+    }
+
+    return { offset: closeOffset, text: `\n${code}\n`, codeStart: 1 };
+  }
+
+  /**
+   * Plan the edits that add an event handler to the class at an offset,
+   * importing the event and implementing Listener when needed
+   * @param {Object} context Document context (source, offset, file)
+   * @param {string} eventName Fully qualified event class name
+   * @param {string} indent Indentation unit of the document
+   * @returns {Object|null} Edits, handler name and cursor offset after the edits, or null without a class
+   */
+  planEventHandler(context, eventName, indent = '\t') {
+    const document = this.parseDocument(context.source, context.file);
+    const declaration = this.findClassDeclaration(document, context.offset);
+    if (!declaration) return null;
+
+    const { tokens } = document;
+    const classData = declaration.classData;
+    // Implement Listener unless the class or a parent already does
+    const needsListener = !classData || !this.implementsInterface(classData, LISTENER_INTERFACE);
+    const { names, edits } = this.planImports(document, needsListener ? [eventName, LISTENER_INTERFACE] : [eventName]);
+    const eventType = names.get(eventName);
+
+    if (needsListener) {
+      const listener = names.get(LISTENER_INTERFACE);
+      const last = tokens[declaration.open - 1];
+      const hasImplements = tokens.slice(declaration.keyword, declaration.open)
+        .some(token => token.type === TOKEN_TYPES.T_IMPLEMENTS);
+      edits.push({
+        offset: last.offset + last.value.length,
+        text: hasImplements ? `, ${listener}` : ` implements ${listener}`
+      });
+    }
+
+    // Name the handler after the event, keeping it unique
+    const baseName = `on${eventName.split('\\').pop().replace(/Event$/, '')}`;
+    let methodName = baseName;
+    for (let n = 2; classData && this.findMethod(classData, methodName); n++) {
+      methodName = `${baseName}${n}`;
+    }
+
+    const header = `${indent}public function ${methodName}(${eventType} $event) : void {\n${indent}${indent}`;
+    const member = this.planMemberInsertion(context.source, tokens[declaration.close].offset, `${header}\n${indent}}`);
+    edits.push({ offset: member.offset, text: member.text });
+
+    // Edits before the handler shift its body
+    const shift = edits
+      .filter(edit => edit.offset < member.offset)
+      .reduce((total, edit) => total + edit.text.length, 0);
+
+    return {
+      edits,
+      methodName,
+      cursorOffset: member.offset + shift + member.codeStart + header.length
+    };
+  }
+
+  /**
+   * Find the abstract methods a class gets from its parents, traits and
+   * interfaces without implementing them
+   * @param {Object} classData Class data object
+   * @returns {Array<Object>} Method data of the missing methods
+   */
+  getMissingMethods(classData) {
+    this.resolveInheritance(classData);
+
+    return [...classData.methods.values()]
+      .filter(methodData => methodData.inherited && methodData.modifiers.has('abstract'));
+  }
+
+  /**
+   * Plan the stubs of the abstract methods the class at an offset is missing
+   * @param {Object} context Document context (source, offset, file)
+   * @param {string} indent Indentation unit of the document
+   * @returns {Object|null} Edits, names of the added methods and cursor offset after the edits, or null without a class
+   */
+  planImplementMethods(context, indent = '\t') {
+    const document = this.parseDocument(context.source, context.file);
+    const declaration = this.findClassDeclaration(document, context.offset);
+    if (!declaration || !declaration.classData) return null;
+
+    const methods = this.getMissingMethods(declaration.classData);
+    return {
+      ...this.planMethodStubs(context, document, declaration, methods, indent),
+      methods: methods.map(methodData => methodData.name)
+    };
+  }
+
+  /**
+   * Plan the insertion of method stubs copying the signature and PHPDoc of
+   * existing methods, importing the classes their types name
+   * @param {Object} context Document context (source, offset, file)
+   * @param {Object} document Document from parseDocument
+   * @param {Object} declaration Class declaration from findClassDeclaration
+   * @param {Array<Object>} methods Method data to copy
+   * @param {string} indent Indentation unit of the document
+   * @param {Object} options Stub options for formatMethodStub, and the offset to insert at instead of the end of the class
+   * @returns {{edits: Array<Object>, cursorOffset: number}} Edits and the offset of the first stub's body after the edits
+   */
+  planMethodStubs(context, document, declaration, methods, indent, options = {}) {
+    if (!methods.length) return { edits: [], cursorOffset: context.offset };
+
+    const ownName = declaration.classData.fullName;
+
+    // Types are written relative to the file declaring each method
+    const qualify = (methodData, name) => {
+      const lower = name.toLowerCase();
+      if (lower === 'self') return methodData.classFullName || ownName;
+      if (lower === 'parent') {
+        const parent = this.getParentClass(this.classes.get(methodData.classFullName) || declaration.classData);
+        return parent ? parent.fullName : name;
+      }
+
+      const declaringContext = this.getDeclaringContext(methodData, document);
+      const classData = this.resolveClassName(name, declaringContext);
+      return classData ? classData.fullName : this.qualifyClassName(name, declaringContext);
+    };
+    const mapTypes = (type, methodData, write) => type && type.replace(/\\?[A-Za-z_][\w\\]*/g, name => {
+      const lower = name.toLowerCase();
+      if (BUILTIN_TYPES.has(lower) || lower === 'static') return name;
+      return write(qualify(methodData, name));
+    });
+    const typesOf = methodData => [...methodData.parameters.map(param => param.type), methodData.returnType];
+
+    const fullNames = new Set();
+    for (const methodData of methods) {
+      typesOf(methodData).forEach(type => mapTypes(type, methodData, fullName => fullNames.add(fullName)));
+    }
+    fullNames.delete(ownName);
+
+    const { names, edits } = this.planImports(document, [...fullNames]);
+    const write = fullName => fullName === ownName ? 'self' : names.get(fullName) || fullName;
+
+    const stubs = methods.map(methodData => this.formatMethodStub(methodData, type => mapTypes(type, methodData, write), indent, options));
+    const code = stubs.map(stub => stub.text).join('\n\n');
+    const member = options.offset !== undefined
+      ? { offset: options.offset, text: code, codeStart: 0 }
+      : this.planMemberInsertion(context.source, document.tokens[declaration.close].offset, code);
+    edits.push({ offset: member.offset, text: member.text });
+
+    // Edits before the stubs shift them
+    const shift = edits
+      .filter(edit => edit.offset < member.offset)
+      .reduce((total, edit) => total + edit.text.length, 0);
+
+    return {
+      edits,
+      cursorOffset: member.offset + shift + member.codeStart + stubs[0].bodyOffset
+    };
+  }
+
+  /**
+   * Format a method stub with the signature and PHPDoc of a method
+   * @param {Object} methodData Method to copy
+   * @param {Function} writeType Rewrites a declared type for the target file
+   * @param {string} indent Indentation unit of the document
+   * @param {Object} options doc to copy the PHPDoc, attribute to add #[\Override] and body to create the body statement
+   * @returns {{text: string, bodyOffset: number}} Stub and the offset of its body in it
+   */
+  formatMethodStub(methodData, writeType, indent, options = {}) {
+    const { doc = true, attribute = false, body = null } = options;
+    const lines = doc && methodData.docComment
+      ? this.formatDocComment(methodData.docComment).map(line => `${indent}${line}`)
+      : [];
+    if (attribute) lines.push(`${indent}#[\\Override]`);
+
+    const modifiers = ['public', 'protected', 'private'].filter(modifier => methodData.modifiers.has(modifier));
+    if (methodData.modifiers.has('static')) modifiers.push('static');
+
+    const parameters = methodData.parameters.map(param => {
+      let text = `${param.isReference ? '&' : ''}${param.isVariadic ? '...' : ''}$${param.name}`;
+      if (param.type) text = `${writeType(param.type)} ${text}`;
+      if (param.defaultValue !== null) text += ` = ${param.defaultValue}`;
+      return text;
+    });
+    const returnType = methodData.returnType ? ` : ${writeType(methodData.returnType)}` : '';
+
+    lines.push(`${indent}${modifiers.join(' ')} function ${methodData.name}(${parameters.join(', ')})${returnType} {`);
+    const bodyOffset = lines.join('\n').length + 1 + indent.length * 2;
+    const statement = body ? body(methodData) : `// TODO: Implement ${methodData.name}()`;
+    lines.push(`${indent}${indent}${statement}`, `${indent}}`);
+
+    return { text: lines.join('\n'), bodyOffset };
+  }
+
+  /**
+   * Find the inherited methods a class can override: methods of its parent
+   * chain that are neither abstract nor final
+   * @param {Object} classData Class data object
+   * @returns {Array<Object>} Method data of the overridable methods
+   */
+  getOverridableMethods(classData) {
+    this.resolveInheritance(classData);
+
+    // Trait methods are copied in as the class's own
+    return [...classData.methods.values()].filter(methodData => methodData.inherited &&
+      methodData.classFullName !== classData.fullName &&
+      !methodData.modifiers.has('abstract') && !methodData.modifiers.has('final'));
+  }
+
+  /**
+   * Plan overrides of parent methods in the class at an offset, each calling
+   * the parent implementation
+   * @param {Object} context Document context (source, offset, file)
+   * @param {string[]} methodNames Names of the methods to override
+   * @param {string} indent Indentation unit of the document
+   * @param {Object} options attribute to add #[\Override], offset to insert at instead of the end of the class
+   * @returns {Object|null} Edits, names of the added methods and cursor offset after the edits, or null without a class
+   */
+  planOverrideMethods(context, methodNames, indent = '\t', options = {}) {
+    const document = this.parseDocument(context.source, context.file);
+    const declaration = this.findClassDeclaration(document, context.offset);
+    if (!declaration || !declaration.classData) return null;
+
+    const wanted = new Set(methodNames.map(name => name.toLowerCase()));
+    const methods = this.getOverridableMethods(declaration.classData)
+      .filter(methodData => wanted.has(methodData.name.toLowerCase()));
+
+    return {
+      ...this.planMethodStubs(context, document, declaration, methods, indent, {
+        doc: false,
+        attribute: options.attribute,
+        body: methodData => this.formatParentCall(methodData),
+        offset: options.offset
+      }),
+      methods: methods.map(methodData => methodData.name)
+    };
+  }
+
+  /**
+   * Format the call of the parent implementation of a method, returning
+   * its result unless the method is known to return nothing
+   * @param {Object} methodData Overridden method
+   * @returns {string} Statement calling the parent method
+   */
+  formatParentCall(methodData) {
+    const args = methodData.parameters.map(param => `${param.isVariadic ? '...' : ''}$${param.name}`);
+    const call = `parent::${methodData.name}(${args.join(', ')});`;
+
+    const docReturn = methodData.docComment?.tags.get('return')?.[0].split(/\s+/)[0];
+    const returnType = (methodData.returnType || docReturn || '').toLowerCase();
+    const returns = returnType !== 'void' && returnType !== 'never' &&
+      methodData.name.toLowerCase() !== '__construct';
+
+    return returns ? `return ${call}` : call;
+  }
+
+  /**
+   * Get the overridable methods of the enclosing class as completions for
+   * a method declaration being typed
+   * @param {string} prefix Current prefix
+   * @param {Object} context Document context (source, offset, file)
+   * @returns {Array} Completion items inserting the whole override
+   */
+  getOverrideCompletions(prefix, context = {}) {
+    if (typeof context.source !== 'string') return [];
+
+    const document = this.parseDocument(context.source, context.file);
+    const declaration = this.findClassDeclaration(document, context.offset);
+    const { tokens } = document;
+    if (!declaration || !declaration.classData ||
+      context.offset <= tokens[declaration.open].offset || context.offset > tokens[declaration.close].offset) {
+      return [];
+    }
+
+    const lowerPrefix = prefix.toLowerCase();
+    const completions = this.getOverridableMethods(declaration.classData)
+      .filter(methodData => methodData.name.toLowerCase().startsWith(lowerPrefix))
+      .map(methodData => ({
+        caption: methodData.name,
+        value: methodData.name,
+        meta: 'override',
+        score: this.calculateScore(methodData.name, prefix, methodData),
+        docText: this.formatSymbolDoc(methodData),
+        // Accepting it writes the whole method, see planOverrideCompletion
+        override: methodData.name
+      }));
+
+    return this.sortCompletions(completions, prefix);
+  }
+
+  /**
+   * Plan the replacement of the method declaration being typed with an
+   * override of a parent method
+   * @param {Object} context Document context (source, offset, file)
+   * @param {string} methodName Overridden method
+   * @param {string} indent Indentation unit of the document
+   * @param {Object} options attribute to add #[\Override]
+   * @returns {Object|null} Edits, names of the added methods and cursor offset after the edits, or null if the method can't be overridden here
+   */
+  planOverrideCompletion(context, methodName, indent = '\t', options = {}) {
+    // The stub brings its own modifiers and indentation
+    const lineStart = context.source.lastIndexOf('\n', context.offset - 1) + 1;
+    const removed = context.offset - lineStart;
+    const source = context.source.substring(0, lineStart) + context.source.substring(context.offset);
+
+    const plan = this.planOverrideMethods(
+      { source, offset: lineStart, file: context.file || '' },
+      [methodName],
+      indent,
+      { attribute: options.attribute, offset: lineStart }
+    );
+    if (!plan || !plan.methods.length) return null;
+
+    // Edits are planned without the typed line, move them back onto the document
+    const edits = plan.edits.map(edit => {
+      if (edit.offset < lineStart) return edit;
+      const moved = { ...edit, offset: edit.offset + removed };
+      if (edit.end !== undefined) moved.end = edit.end + removed;
+      return moved;
+    });
+    edits.push({ offset: lineStart, end: context.offset, text: '' });
+
+    return { ...plan, edits };
+  }
+
+  /**
+   * Get the properties of a class a constructor and accessors can be
+   * generated for
+   * @param {Object} classData Class data object
+   * @returns {Array<Object>} Property data of the class's own instance properties
+   */
+  getAccessorProperties(classData) {
+    return [...classData.properties.values()]
+      .filter(propertyData => !propertyData.inherited && !propertyData.modifiers.has('static'));
+  }
+
+  /**
+   * Get the names of the getter and setter of a property
+   * @param {Object} propertyData Property data object
+   * @returns {{getter: string, setter: string}} Method names
+   */
+  getAccessorNames(propertyData) {
+    const name = propertyData.name.charAt(0).toUpperCase() + propertyData.name.slice(1);
+    const isBool = /^\??bool$/i.test(this.getDeclarableType(propertyData) || '');
+    return { getter: `${isBool ? 'is' : 'get'}${name}`, setter: `set${name}` };
+  }
+
+  /**
+   * Get the type generated code can declare for a property: its native
+   * type, or else its @var type narrowed to a type PHP accepts on a property
+   * @param {Object} propertyData Property data object
+   * @returns {string|null} Type, or null if the property has none PHP accepts
+   */
+  getDeclarableType(propertyData) {
+    if (propertyData.type) return propertyData.type;
+
+    // The type ends at the first space outside of brackets
+    const tag = propertyData.docComment?.tags.get('var')?.[0] || '';
+    let length = 0;
+    for (let depth = 0; length < tag.length && (depth > 0 || !/\s/.test(tag[length])); length++) {
+      if ('<{('.includes(tag[length])) depth++;
+      if ('>})'.includes(tag[length])) depth--;
+    }
+    let docType = tag.substring(0, length);
+    if (!docType) return null;
+
+    // Generics and array shapes have no native counterpart
+    for (let previous = null; previous !== docType;) {
+      previous = docType;
+      docType = docType.replace(/[<{][^<>{}]*[>}]/g, '');
+    }
+
+    const types = new Set(docType.split('|').map(type => {
+      if (/\[\]$|^(list|non-empty-list|non-empty-array)$/i.test(type)) return 'array';
+      // Refinements such as positive-int or class-string
+      if (type.includes('-')) return /-(int|string|array)$/i.exec(type)?.[1].toLowerCase() || null;
+      return type;
+    }));
+
+    if ([...types].some(type => !type || !/^\??\\?[A-Za-z_][\w\\]*$/.test(type) ||
+      ['resource', 'callable', 'void', 'never'].includes(type.toLowerCase()))) return null;
+    if ([...types].some(type => type.toLowerCase() === 'mixed')) return 'mixed';
+
+    return [...types].join('|');
+  }
+
+  /**
+   * Plan a constructor, getters and setters for properties of the class at
+   * an offset. Methods the class already has are left out.
+   * @param {Object} context Document context (source, offset, file)
+   * @param {Object} selection Property names for the constructor parameters, getters and setters, and promote to declare the constructor's properties as promoted parameters
+   * @param {string} indent Indentation unit of the document
+   * @returns {Object|null} Edits, names of the added methods and cursor offset after the edits, or null without a class
+   */
+  planAccessors(context, selection, indent = '\t') {
+    const document = this.parseDocument(context.source, context.file);
+    const declaration = this.findClassDeclaration(document, context.offset);
+    if (!declaration || !declaration.classData) return null;
+
+    const { tokens } = document;
+    const classData = declaration.classData;
+    this.resolveInheritance(classData);
+
+    const properties = new Map(this.getAccessorProperties(classData).map(propertyData => [propertyData.name, propertyData]));
+    const pick = names => (names || []).map(name => properties.get(name)).filter(Boolean);
+    const typed = propertyData => {
+      const type = this.getDeclarableType(propertyData);
+      return type ? `${type} ` : '';
+    };
+
+    const edits = [];
+    const methods = [];
+    const code = [];
+
+    // A parent constructor may be replaced, the class's own is kept
+    const constructorProperties = pick(selection.parameters);
+    const constructor = this.findMethod(classData, '__construct');
+    if (constructorProperties.length && (!constructor || constructor.inherited)) {
+      const ranges = new Map();
+      const assigned = [];
+      for (const propertyData of constructorProperties) {
+        const range = selection.promote ? this.findPropertyRange(context.source, tokens, declaration, propertyData.name) : null;
+        if (range) {
+          ranges.set(propertyData, range);
+        } else {
+          assigned.push(propertyData);
+        }
+      }
+
+      // Declarations sharing a line are removed together
+      const removals = [...ranges.values()].sort((a, b) => a.start - b.start).reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && /^[ \t]*$/.test(context.source.substring(last.end, range.start))) {
+          last.end = range.end;
+        } else {
+          merged.push({ start: range.start, end: range.end, afterBrace: range.afterBrace });
+        }
+        return merged;
+      }, []);
+      for (const removal of removals) {
+        edits.push({ ...this.expandRemoval(context.source, removal), text: '' });
+      }
+
+      // Optional parameters go last, after the assigned ones
+      const promoted = [...ranges.keys()];
+      const parameters = [
+        ...promoted.filter(propertyData => ranges.get(propertyData).defaultValue === null),
+        ...assigned,
+        ...promoted.filter(propertyData => ranges.get(propertyData).defaultValue !== null)
+      ];
+
+      const inner = `${indent}${indent}`;
+      const list = parameters.map(propertyData => {
+        const range = ranges.get(propertyData);
+        if (!range) return `${typed(propertyData)}$${propertyData.name}`;
+
+        const modifiers = ['public', 'protected', 'private', 'readonly'].filter(modifier => propertyData.modifiers.has(modifier));
+        const defaultValue = range.defaultValue !== null ? ` = ${range.defaultValue}` : '';
+        // The doc comment and attributes of the property move along
+        const lines = range.prefix.flatMap(text => text.split('\n').map((line, i) => `${i ? ' ' : ''}${line.trim()}`));
+        lines.push(`${modifiers.join(' ')} ${typed(propertyData)}$${propertyData.name}${defaultValue}`);
+        return lines.join(`\n${inner}`);
+      });
+      const signature = promoted.length
+        ? `(\n${list.map(text => `${inner}${text}`).join(',\n')}\n${indent})`
+        : `(${list.join(', ')})`;
+      const body = assigned.map(propertyData => `${inner}$this->${propertyData.name} = $${propertyData.name};`);
+
+      code.push([`${indent}public function __construct${signature} {`, ...body, `${indent}}`].join('\n'));
+      methods.push('__construct');
+    }
+
+    const getters = new Set(pick(selection.getters));
+    const setters = new Set(pick(selection.setters)
+      .filter(propertyData => !propertyData.modifiers.has('readonly')));
+
+    for (const propertyData of properties.values()) {
+      const names = this.getAccessorNames(propertyData);
+      const type = this.getDeclarableType(propertyData);
+      const returnType = type ? ` : ${type}` : '';
+
+      if (getters.has(propertyData) && !this.findMethod(classData, names.getter)) {
+        code.push([
+          `${indent}public function ${names.getter}()${returnType} {`,
+          `${indent}${indent}return $this->${propertyData.name};`,
+          `${indent}}`
+        ].join('\n'));
+        methods.push(names.getter);
+      }
+      if (setters.has(propertyData) && !this.findMethod(classData, names.setter)) {
+        code.push([
+          `${indent}public function ${names.setter}(${typed(propertyData)}$${propertyData.name}) : void {`,
+          `${indent}${indent}$this->${propertyData.name} = $${propertyData.name};`,
+          `${indent}}`
+        ].join('\n'));
+        methods.push(names.setter);
+      }
+    }
+
+    if (!code.length) return { edits: [], methods, cursorOffset: context.offset };
+
+    const member = this.planMemberInsertion(context.source, tokens[declaration.close].offset, code.join('\n\n'));
+    edits.push({ offset: member.offset, text: member.text });
+
+    // Edits before the methods move them
+    const shift = edits
+      .filter(edit => edit.offset < member.offset)
+      .reduce((total, edit) => total + edit.text.length - ((edit.end ?? edit.offset) - edit.offset), 0);
+
+    return { edits, methods, cursorOffset: member.offset + shift + member.codeStart };
+  }
+
+  /**
+   * Find the source range of a property declaration with its doc comment,
+   * attributes and trailing comment, so it can be removed
+   * @param {string} source Document content
+   * @param {Array} tokens Document tokens
+   * @param {Object} declaration Class declaration from findClassDeclaration
+   * @param {string} name Property name
+   * @returns {{start: number, end: number, afterBrace: boolean, prefix: string[], defaultValue: string|null}|null} Range, whether it is the first statement of the class, the doc comment and attributes of the declaration and its default value, or null if the property is not declared alone in its statement
+   */
+  findPropertyRange(source, tokens, declaration, name) {
+    let depth = 0;
+    let statementStart = declaration.open + 1;
+
+    for (let i = declaration.open + 1; i < declaration.close; i++) {
+      const token = tokens[i];
+      if (token.value === '{' || token.value === '(') depth++;
+      if (token.value === '}' || token.value === ')') depth--;
+      if (depth > 0) continue;
+
+      if (token.value === ';' || token.value === '}') {
+        statementStart = i + 1;
+        continue;
+      }
+      if (token.type !== TOKEN_TYPES.T_VARIABLE || token.value !== `$${name}`) continue;
+
+      // Comments before the declaration belong to what precedes it
+      let first = statementStart;
+      while (tokens[first].type === TOKEN_TYPES.T_COMMENT) first++;
+
+      let end = i;
+      while (end < declaration.close && tokens[end].value !== ';') end++;
+
+      const prefix = [];
+      let defaultStart = -1;
+      for (let j = first, nesting = 0; j < end; j++) {
+        const value = tokens[j].value;
+        if (tokens[j].type === TOKEN_TYPES.T_DOC_COMMENT) {
+          prefix.push(value);
+        } else if (tokens[j].type === TOKEN_TYPES.T_ATTRIBUTE) {
+          const after = this.skipAttribute(tokens, j);
+          prefix.push(source.substring(tokens[j].offset, tokens[after - 1].offset + 1).replace(/\s*\n\s*/g, ' '));
+          j = after - 1;
+        } else if (value === '(' || value === '[') {
+          nesting++;
+        } else if (value === ')' || value === ']') {
+          nesting--;
+        } else if (nesting === 0 && (value === ',' || tokens[j].type === TOKEN_TYPES.T_FUNCTION)) {
+          return null;
+        } else if (nesting === 0 && value === '=' && defaultStart < 0) {
+          defaultStart = j + 1;
+        }
+      }
+      const defaultValue = defaultStart >= 0 && defaultStart < end ?
+        source.substring(tokens[defaultStart].offset, tokens[end].offset).trim() : null;
+
+      // A comment after the declaration on its line goes with it
+      let stop = tokens[end].offset + 1;
+      const trailing = tokens[end + 1];
+      if (trailing && trailing.type === TOKEN_TYPES.T_COMMENT && trailing.line === tokens[end].line) {
+        stop = trailing.offset + trailing.value.length;
+      }
+
+      return {
+        start: tokens[first].offset,
+        end: stop,
+        afterBrace: statementStart === declaration.open + 1,
+        prefix,
+        defaultValue
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Widen a range of code to remove to whole lines when nothing else is
+   * on them, along with a blank line left between the neighbouring code
+   * or right after the opening brace
+   * @param {string} source Document content
+   * @param {{start: number, end: number, afterBrace: boolean}} range Range to remove, and whether only the opening brace and comments precede it
+   * @returns {{offset: number, end: number}} Range to replace with nothing
+   */
+  expandRemoval(source, range) {
+    const start = source.lastIndexOf('\n', range.start - 1) + 1;
+    const lineEnd = source.indexOf('\n', range.end);
+    if (source.substring(start, range.start).trim() !== '' ||
+      (lineEnd >= 0 ? source.substring(range.end, lineEnd) : source.substring(range.end)).trim() !== '') {
+      return { offset: range.start, end: range.end };
+    }
+
+    let end = lineEnd >= 0 ? lineEnd + 1 : source.length;
+    const blank = /^[ \t]*\r?\n/.exec(source.substring(end));
+    const before = source.substring(0, start).replace(/[ \t]*\r?\n$/, '');
+    if (blank && (range.afterBrace || /\n[ \t]*$/.test(before))) {
+      end += blank[0].length;
+    }
+    return { offset: start, end };
+  }
+
+  /**
+   * Write a parsed PHPDoc comment back as comment lines
+   * @param {Object} doc Parsed PHPDoc from parseDocComment
+   * @returns {string[]} Comment lines without indentation
+   */
+  formatDocComment(doc) {
+    const sections = [];
+    if (doc.summary) sections.push([doc.summary]);
+    if (doc.description) sections.push(doc.description.split('\n'));
+
+    const tags = [];
+    for (const [tag, values] of doc.tags) {
+      for (const value of values) {
+        const [first, ...rest] = value.split('\n');
+        tags.push(`@${tag}${first ? ` ${first}` : ''}`, ...rest);
+      }
+    }
+    if (tags.length) sections.push(tags);
+
+    const body = sections.flatMap((section, i) => i ? ['', ...section] : section);
+    return ['/**', ...body.map(line => line ? ` * ${line}` : ' *'), ' */'];
+  }
+
+  /**
+   * Find the declaration of the symbol at an offset
+   * @param {Object} context Current context (source, offset, file)
+   * @returns {Object|null} Class, method, property, constant or function data
+   */
+  findDefinition(context) {
+    if (!context || typeof context.source !== 'string') return null;
+
+    const document = this.parseDocument(context.source, context.file);
+    const index = this.getTokenIndexAt(document.tokens, context.offset);
+    if (index < 0) return null;
+
+    const scope = this.getScopeAt(context.source, document.tokens[index].offset, context.file);
+    const symbol = this.resolveSymbol(scope, index);
+    return symbol && symbol.file ? symbol : null;
+  }
+
+  /**
+   * Find the symbol at an offset, whether the offset is on a use of the
+   * symbol or on the name in its declaration
+   * @param {Object} context Current context (source, offset, file)
+   * @returns {Object|null} Class, method, property, constant or function data
+   */
+  findSymbolAt(context) {
+    const definition = this.findDefinition(context);
+    if (definition) return definition;
+
+    const document = this.parseDocument(context.source, context.file);
+    const { tokens } = document;
+    const index = this.getTokenIndexAt(tokens, context.offset);
+    if (index < 0) return null;
+
+    const token = tokens[index];
+    const prev = tokens[index - 1];
+    const scope = this.getScopeAt(context.source, token.offset, context.file);
+    const classData = scope.currentClass;
+
+    if (prev?.type === TOKEN_TYPES.T_CLASS || prev?.type === TOKEN_TYPES.T_INTERFACE ||
+      prev?.type === TOKEN_TYPES.T_TRAIT || prev?.type === TOKEN_TYPES.T_ENUM) {
+      return this.resolveClassName(token.value, scope);
+    }
+    if (prev?.type === TOKEN_TYPES.T_FUNCTION) {
+      return classData ? this.findMethod(classData, token.value) : this.resolveFunctionName(token.value, scope);
+    }
+    if (!classData) return null;
+    if (prev?.type === TOKEN_TYPES.T_CONST || prev?.value.toLowerCase() === 'case') {
+      return classData.constants.get(token.value) || null;
+    }
+    // Property declarations are the variables outside of methods
+    if (token.type === TOKEN_TYPES.T_VARIABLE && !scope.functionStart) {
+      return classData.properties.get(token.value.substring(1)) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Tell what kind of declaration a symbol is
+   * @param {Object} symbol Class, method, property, constant or function data
+   * @returns {string} 'class', 'method', 'function', 'property' or 'constant'
+   */
+  getSymbolKind(symbol) {
+    if (symbol.methods) return 'class';
+    if (symbol.parameters) return symbol.classFullName ? 'method' : 'function';
+    return 'value' in symbol ? 'constant' : 'property';
+  }
+
+  /**
+   * Find the places in the indexed files that refer to the symbol at an
+   * offset. Members match through the classes related to their declaring
+   * class, so uses of an override or of an interface method are found too.
+   * @param {Object} context Current context (source, offset, file)
+   * @param {Function} readSource Returns a promise for the content of an indexed file
+   * @returns {Promise<Object|null>} The symbol, its kind and its references (file, line, column, preview), or null without a symbol
+   */
+  async findReferences(context, readSource = filePath => acode.fsOperation.readFile(filePath)) {
+    if (!context || typeof context.source !== 'string') return null;
+
+    const symbol = this.findSymbolAt(context);
+    if (!symbol) return null;
+
+    const kind = this.getSymbolKind(symbol);
+    const lowerName = symbol.name.toLowerCase();
+    const currentFile = this.normalizeFilePath(context.file);
+    const references = [];
+
+    for (const [fileKey, fileData] of this.fileIndex) {
+      // Classes may be used under an alias of their import
+      const names = new Set([lowerName]);
+      if (kind === 'class') {
+        for (const [alias, fullName] of fileData.uses || []) {
+          if (fullName.toLowerCase() === symbol.fullName.toLowerCase()) names.add(alias.toLowerCase());
+        }
+      }
+
+      const lines = [...names].flatMap(name => fileData.references?.get(name) || []);
+      if (!lines.length) continue;
+
+      let source;
+      try {
+        source = fileKey === currentFile ? context.source : await readSource(fileData.path);
+      } catch (error) {
+        console.error(`Error reading ${fileData.path}:`, error);
+        continue;
+      }
+
+      const wanted = new Set(lines);
+      const sourceLines = source.split('\n');
+      const { tokens } = this.parseDocument(source, fileData.path);
+      const scopeAt = this.createScopeReader(source, fileData.path);
+
+      tokens.forEach((token, i) => {
+        if (!wanted.has(token.line) || token.type === TOKEN_TYPES.T_COMMENT ||
+          token.type === TOKEN_TYPES.T_DOC_COMMENT || token.type === TOKEN_TYPES.T_STRING_LITERAL) return;
+        if (!names.has(token.value.replace(/^\$/, '').split('\\').pop().toLowerCase())) return;
+        // The alias of an import is part of the imported name
+        if (tokens[i - 1]?.value.toLowerCase() === 'as') return;
+
+        if (!this.isSameSymbol(this.resolveSymbol(scopeAt(token.offset), i), symbol, kind)) return;
+
+        const lineStart = source.lastIndexOf('\n', token.offset - 1) + 1;
+        references.push({
+          file: fileData.path,
+          line: token.line,
+          column: token.offset - lineStart + token.value.length - token.value.split('\\').pop().length,
+          preview: (sourceLines[token.line - 1] || '').trim()
+        });
+      });
+    }
+
+    return { symbol, kind, references };
+  }
+
+  /**
+   * Check whether a resolved reference points at a symbol
+   * @param {Object|null} found Declaration the reference resolved to
+   * @param {Object} symbol Symbol searched for
+   * @param {string} kind Kind of the symbol from getSymbolKind
+   * @returns {boolean} True if the reference is a use of the symbol
+   */
+  isSameSymbol(found, symbol, kind) {
+    if (!found || this.getSymbolKind(found) !== kind) return false;
+    if (kind === 'class' || kind === 'function') {
+      return found.fullName.toLowerCase() === symbol.fullName.toLowerCase();
+    }
+    if (found.name.toLowerCase() !== symbol.name.toLowerCase()) return false;
+
+    // Trait members are copied into the classes using them
+    const foundOwner = found.trait || found.classFullName;
+    const symbolOwner = symbol.trait || symbol.classFullName;
+    if (foundOwner === symbolOwner) return true;
+
+    // Overrides and implementations of the same member
+    const foundClass = this.classes.get(foundOwner);
+    const symbolClass = this.classes.get(symbolOwner);
+    if (!foundClass || !symbolClass) return false;
+
+    return this.isSubclassOf(foundClass, symbolClass) || this.isSubclassOf(symbolClass, foundClass) ||
+      this.implementsInterface(foundClass, symbolClass.fullName) || this.implementsInterface(symbolClass, foundClass.fullName);
+  }
+
+  /**
+   * Find the call whose argument list contains the cursor
+   * @param {Object} context Current context (source, offset, file)
+   * @returns {Object|null} Signature help (name, parameters, params, activeParameter, returnType)
+   */
+  getSignatureHelp(context) {
+    if (!context || typeof context.source !== 'string') return null;
+
+    const offset = context.offset ?? context.source.length;
+    const scope = this.getScopeAt(context.source, offset, context.file);
+    const tokens = scope.tokens;
+
+    // Walk back to the innermost unclosed "(", counting argument separators
+    let depth = 0;
+    let commas = 0;
+    let open = -1;
+    for (let i = scope.cursorIndex - 1; i >= 0; i--) {
+      const value = tokens[i].value;
+      if (value === ')' || value === ']' || value === '}') {
+        depth++;
+      } else if (value === '[') {
+        if (depth === 0) {
+          // Left an array literal: its commas are not argument separators
+          commas = 0;
+        } else {
+          depth--;
+        }
+      } else if (value === '{') {
+        if (depth === 0) return null;
+        depth--;
+      } else if (value === '(') {
+        if (depth === 0) {
+          open = i;
+          break;
+        }
+        depth--;
+      } else if (depth === 0 && value === ',') {
+        commas++;
+      } else if (depth === 0 && value === ';') {
+        return null;
+      }
+    }
+
+    const callee = tokens[open - 1];
+    if (open < 0 || !callee || (callee.type !== TOKEN_TYPES.T_STRING && callee.type !== TOKEN_TYPES.T_STATIC) ||
+      CONTROL_KEYWORDS.has(callee.value.toLowerCase()) || tokens[open - 2]?.type === TOKEN_TYPES.T_FUNCTION) {
+      return null;
+    }
+
+    let symbol = this.resolveSymbol(scope, open - 1);
+    let name = callee.value;
+
+    // new Foo( shows the constructor
+    if (symbol && symbol.methods) {
+      name = symbol.name;
+      symbol = this.findMethod(symbol, '__construct');
+    }
+    if (!symbol || !symbol.parameters) return null;
+
+    const parameters = symbol.parameters;
+    let activeParameter = commas;
+    if (activeParameter >= parameters.length && parameters[parameters.length - 1]?.isVariadic) {
+      activeParameter = parameters.length - 1;
+    }
+
+    return {
+      name,
+      parameters,
+      params: this.formatParameters(parameters).params,
+      activeParameter,
+      returnType: symbol.returnType
+    };
+  }
+
+  /**
+   * Find the name token touching an offset
+   * @param {Array} tokens Token array
+   * @param {number} offset Cursor offset
+   * @returns {number} Token index or -1
+   */
+  getTokenIndexAt(tokens, offset) {
+    let found = -1;
+    for (let i = 0; i < tokens.length && tokens[i].offset <= offset; i++) {
+      const token = tokens[i];
+      if (/^\$?\w/.test(token.value) && offset <= token.offset + token.value.length &&
+        token.type !== TOKEN_TYPES.T_COMMENT && token.type !== TOKEN_TYPES.T_DOC_COMMENT) {
+        found = i;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Resolve the declaration a name token refers to
+   * @param {Object} scope Scope from getScopeAt for the token
+   * @param {number} index Index of the name token
+   * @returns {Object|null} Class, method, property, constant or function data
+   */
+  resolveSymbol(scope, index) {
+    const tokens = scope.tokens;
+    const token = tokens[index];
+    const before = tokens[index - 1];
+    const isArrow = before?.value === '>' && tokens[index - 2]?.value === '-';
+    const isStaticAccess = before?.value === ':' && tokens[index - 2]?.value === ':';
+    const isCall = tokens[index + 1]?.value === '(';
+
+    // Member of a receiver: $obj->name, Foo::name, Foo::$name
+    if (isArrow || isStaticAccess) {
+      let end = index - 3;
+      if (isArrow && tokens[end]?.value === '?') end--;
+
+      const chain = this.readChain(tokens, end);
+      const classData = chain ? this.resolveChain(chain, scope, index) : null;
+      if (!classData) return null;
+
+      const name = token.value.replace(/^\$/, '');
+      if (isCall) return this.findMethod(classData, name);
+      if (isStaticAccess && token.type !== TOKEN_TYPES.T_VARIABLE) {
+        if (name.toLowerCase() === 'class') return classData;
+        return classData.constants.get(name) || null;
+      }
+      return classData.properties.get(name) || null;
+    }
+
+    if (token.type === TOKEN_TYPES.T_VARIABLE) return null;
+
+    // Function call: foo(...)
+    const name = before?.value === '\\' ? `\\${token.value}` : token.value;
+    if (isCall && before?.value.toLowerCase() !== 'new' && before?.type !== TOKEN_TYPES.T_FUNCTION) {
+      const functionData = this.resolveFunctionName(name, scope);
+      if (functionData) return functionData;
+    }
+
+    // Class reference: type hints, new, extends, use imports
+    return this.resolveTypeName(name, scope, scope.currentClass);
+  }
+
+  /**
+   * Parse the document being edited without touching the global index
+   * @param {string} source Document content
+   * @param {string} filePath Document path
+   * @returns {Object} Document data (namespace, uses, classes, tokens)
+   */
+  parseDocument(source, filePath = '') {
+    const cache = this.documentCache;
+    if (cache && cache.source === source && cache.file === filePath) {
+      return cache.document;
+    }
+
+    const scratch = new PhpIndexer();
+    const fileKey = scratch.normalizeFilePath(filePath);
+    scratch.currentFile = filePath;
+    scratch.fileIndex.set(fileKey, {
+      path: filePath,
+      namespace: '',
+      uses: new Map(),
+      functionUses: new Map(),
+      constUses: new Map(),
+      classes: new Map(),
+      functions: new Map(),
+      lastModified: Date.now()
+    });
+
+    const tokens = scratch.tokenize(source);
+    scratch.parseTokens(tokens, fileKey);
+
+    const fileData = scratch.fileIndex.get(fileKey);
+    const document = {
+      file: filePath,
+      namespace: fileData.namespace,
+      uses: fileData.uses,
+      functionUses: fileData.functionUses,
+      constUses: fileData.constUses,
+      classes: scratch.classes,
+      functions: fileData.functions,
+      tokens
+    };
+
+    this.documentCache = { source, file: filePath, document };
+    return document;
+  }
+
+  /**
+   * Determine the namespace, class and function enclosing an offset
+   * @param {string} source Document content
+   * @param {number} offset Cursor offset
+   * @param {string} filePath Document path
+   * @returns {Object} Scope object, usable as a resolveClassName context
+   */
+  getScopeAt(source, offset, filePath = '') {
+    return this.createScopeReader(source, filePath)(offset);
+  }
+
+  /**
+   * Create a reader of the scopes at increasing offsets of a document,
+   * which walks the tokens once for all of them
+   * @param {string} source Document content
+   * @param {string} filePath Document path
+   * @returns {Function} Function taking an offset, no lower than the one before, and returning the scope like getScopeAt
+   */
+  createScopeReader(source, filePath = '') {
+    const document = this.parseDocument(source, filePath);
+    const tokens = document.tokens;
+    const classStack = [];
+    const functionStack = [];
+    let pendingClass = null;
+    let pendingFunction = null;
+    let depth = 0;
+    let index = 0;
+
+    // The enclosing class is looked up again only when it changes
+    let classEntry = null;
+    let currentClass = null;
+
+    return offset => {
+      for (; index < tokens.length && tokens[index].offset < offset; index++) {
+        const token = tokens[index];
+
+        if ((token.type === TOKEN_TYPES.T_CLASS ||
+          token.type === TOKEN_TYPES.T_INTERFACE ||
+          token.type === TOKEN_TYPES.T_TRAIT ||
+          token.type === TOKEN_TYPES.T_ENUM) &&
+          tokens[index - 1]?.value !== ':' &&
+          tokens[index + 1]?.type === TOKEN_TYPES.T_STRING) {
+          pendingClass = { name: tokens[index + 1].value };
+        } else if (token.type === TOKEN_TYPES.T_FUNCTION) {
+          pendingFunction = { index };
+        } else if (token.value === ';') {
+          pendingFunction = null;
+        } else if (token.value === '{') {
+          depth++;
+          if (pendingClass) {
+            classStack.push({ ...pendingClass, depth });
+            pendingClass = null;
+          } else if (pendingFunction) {
+            functionStack.push({ ...pendingFunction, depth });
+            pendingFunction = null;
+          }
+        } else if (token.value === '}') {
+          while (classStack.length && classStack[classStack.length - 1].depth >= depth) classStack.pop();
+          while (functionStack.length && functionStack[functionStack.length - 1].depth >= depth) functionStack.pop();
+          depth--;
+        }
+      }
+
+      const entry = classStack[classStack.length - 1] || null;
+      if (entry !== classEntry) {
+        classEntry = entry;
+        currentClass = null;
+        if (entry) {
+          const fullName = document.namespace ? `${document.namespace}\\${entry.name}` : entry.name;
+          currentClass = document.classes.get(fullName) || this.classes.get(fullName) || null;
+          if (currentClass) this.resolveInheritance(currentClass);
+        }
+      }
+
+      // Still inside a function header (e.g. typing a parameter default)
+      const functionData = pendingFunction || functionStack[functionStack.length - 1];
+
+      return {
+        file: filePath,
+        namespace: document.namespace,
+        uses: document.uses,
+        functionUses: document.functionUses,
+        localClasses: document.classes,
+        localFunctions: document.functions,
+        tokens,
+        cursorIndex: index,
+        functionStart: functionData ? functionData.index : 0,
+        currentClass
+      };
+    };
+  }
+
+  /**
+   * Locate the "->" or "::" operator being completed at an offset
+   * @param {Object} scope Scope from getScopeAt
+   * @param {number} offset Cursor offset
+   * @returns {Object|null} Operator and index of the receiver's last token
+   */
+  getMemberAccess(scope, offset) {
+    const tokens = scope.tokens;
+    let i = scope.cursorIndex - 1;
+
+    // Skip the partially typed member name
+    if (i >= 0 && /^\$?\w+$/.test(tokens[i].value) && tokens[i].offset + tokens[i].value.length >= offset) {
+      i--;
+    }
+
+    if (tokens[i]?.value === '>' && tokens[i - 1]?.value === '-') {
+      let end = i - 2;
+      if (tokens[end]?.value === '?') end--;
+      return { operator: '->', end };
+    }
+
+    if (tokens[i]?.value === ':' && tokens[i - 1]?.value === ':') {
+      return { operator: '::', end: i - 2 };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a member access chain backwards from its last token,
+   * e.g. $this->getServer()->getPluginManager() or Server::getInstance()
+   * @param {Array} tokens Token array
+   * @param {number} end Index of the chain's last token
+   * @returns {Object|null} Chain with base ({type, name}), members and base index
+   */
+  readChain(tokens, end) {
+    const members = [];
+    let i = end;
+
+    while (i >= 0) {
+      let call = false;
+
+      if (tokens[i].value === ')') {
+        const open = this.findOpeningParen(tokens, i);
+        if (open < 0) return null;
+
+        const callee = tokens[open - 1];
+        const calleeName = callee?.value.toLowerCase();
+        if (!callee || callee.type !== TOKEN_TYPES.T_STRING ||
+          NON_TYPE_KEYWORDS.has(calleeName) || CONTROL_KEYWORDS.has(calleeName)) {
+          // Parenthesised expression such as (new Player(...))
+          const inner = this.readChain(tokens, i - 1);
+          if (!inner || inner.index <= open) return null;
+          return { ...inner, members: [...inner.members, ...members] };
+        }
+
+        call = true;
+        i = open - 1;
+      }
+
+      const token = tokens[i];
+      const before = tokens[i - 1];
+      const isArrow = before?.value === '>' && tokens[i - 2]?.value === '-';
+      const isStaticAccess = before?.value === ':' && tokens[i - 2]?.value === ':';
+
+      if (token.type === TOKEN_TYPES.T_VARIABLE) {
+        if (call) return null;
+        if (isStaticAccess) {
+          // Static property: Foo::$bar
+          members.unshift({ name: token.value.substring(1), call: false, isStatic: true });
+          i -= 3;
+          continue;
+        }
+        return { base: { type: 'variable', name: token.value }, members, index: i };
+      }
+
+      if (token.type !== TOKEN_TYPES.T_STRING && token.type !== TOKEN_TYPES.T_STATIC) return null;
+
+      if (isArrow) {
+        members.unshift({ name: token.value, call, isStatic: false });
+        i -= 3;
+        if (tokens[i]?.value === '?') i--;
+        continue;
+      }
+
+      if (isStaticAccess) {
+        // Foo::BAR without a call is a class constant or enum case
+        members.unshift({ name: token.value, call, isStatic: true, isConstant: !call });
+        i -= 3;
+        continue;
+      }
+
+      const name = before?.value === '\\' ? `\\${token.value}` : token.value;
+      const isNew = before?.value.toLowerCase() === 'new' || tokens[i - 2]?.value.toLowerCase() === 'new';
+      const type = call && !isNew ? 'function' : 'class';
+      return { base: { type, name }, members, index: before?.value === '\\' ? i - 1 : i };
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the "(" matching a ")"
+   * @param {Array} tokens Token array
+   * @param {number} close Index of the closing parenthesis
+   * @returns {number} Index of the opening parenthesis or -1
+   */
+  findOpeningParen(tokens, close) {
+    let depth = 0;
+    for (let i = close; i >= 0; i--) {
+      if (tokens[i].value === ')') depth++;
+      if (tokens[i].value === '(') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Resolve the class a member access chain evaluates to
+   * @param {Object} chain Chain from readChain
+   * @param {Object} scope Scope from getScopeAt
+   * @param {number} beforeIndex Only consider variable definitions before this token
+   * @returns {Object|null} Class data or null
+   */
+  resolveChain(chain, scope, beforeIndex = scope.cursorIndex) {
+    const { base, members } = chain;
+    let classData = null;
+
+    if (base.type === 'variable') {
+      classData = this.inferVariableType(base.name, scope, beforeIndex);
+    } else if (base.type === 'class') {
+      classData = base.name.toLowerCase() === 'parent'
+        ? this.getParentClass(scope.currentClass)
+        : this.resolveTypeName(base.name, scope, scope.currentClass);
+    } else if (base.type === 'function') {
+      const functionData = this.resolveFunctionName(base.name, scope);
+      classData = functionData ? this.getReturnType(functionData, null, this.getDeclaringContext(functionData, scope)) : null;
+    }
+
+    for (const member of members) {
+      if (!classData) return null;
+      this.resolveInheritance(classData);
+      if (member.isConstant) {
+        // An enum case is an instance of its enum
+        const constData = classData.constants.get(member.name);
+        classData = constData?.modifiers.has('case') ? classData : null;
+        continue;
+      }
+      classData = member.call
+        ? this.getMethodReturnType(classData, member.name)
+        : this.getPropertyType(classData, member.name);
+    }
+
+    if (classData) this.resolveInheritance(classData);
+    return classData;
+  }
+
+  /**
+   * Get the resolved parent class of a class
+   * @param {Object} classData Class data
+   * @returns {Object|null} Parent class data
+   */
+  getParentClass(classData) {
+    if (!classData || !classData.extends.length) return null;
+    return this.resolveClassName(classData.extends[0], classData);
+  }
+
+  /**
+   * Find a global function by name from a scope
+   * @param {string} name Function name as written
+   * @param {Object} scope Scope from getScopeAt
+   * @returns {Object|null} Function data
+   */
+  resolveFunctionName(name, scope) {
+    if (name.startsWith('\\')) {
+      return this.functions.get(name.substring(1)) || null;
+    }
+
+    // Imported with use function
+    const imported = scope.functionUses?.get(name.toLowerCase());
+    if (imported) {
+      return this.functions.get(imported) || null;
+    }
+
+    if (scope.namespace && this.functions.has(`${scope.namespace}\\${name}`)) {
+      return this.functions.get(`${scope.namespace}\\${name}`);
+    }
+
+    return this.functions.get(name) || scope.localFunctions?.get(name) || null;
+  }
+
+  /**
+   * Find a method on a class (PHP method names are case-insensitive)
+   * @param {Object} classData Class data
+   * @param {string} methodName Method name
+   * @returns {Object|null} Method data
+   */
+  findMethod(classData, methodName) {
+    if (classData.methods.has(methodName)) {
+      return classData.methods.get(methodName);
+    }
+
+    const lowerName = methodName.toLowerCase();
+    for (const [name, methodData] of classData.methods) {
+      if (name.toLowerCase() === lowerName) return methodData;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the class returned by a method
+   * @param {Object} classData Class the method is called on
+   * @param {string} methodName Method name
+   * @returns {Object|null} Class data of the return type
+   */
+  getMethodReturnType(classData, methodName) {
+    const methodData = this.findMethod(classData, methodName);
+    if (!methodData) return null;
+
+    return this.getReturnType(methodData, classData, this.getDeclaringContext(methodData, classData));
+  }
+
+  /**
+   * Resolve the class returned by a function or method, preferring the
+   * declared return type and falling back to its @return tag
+   * @param {Object} functionData Function or method data
+   * @param {Object} selfClass Class that self/static refer to
+   * @param {Object} context Context used to resolve class names
+   * @returns {Object|null} Class data of the return type
+   */
+  getReturnType(functionData, selfClass, context) {
+    const classData = this.resolveTypeName(functionData.returnType, context, selfClass);
+    if (classData) return classData;
+
+    const returns = functionData.docComment?.tags.get('return');
+    return returns ? this.resolveTypeName(returns[0].split(/\s+/)[0], context, selfClass) : null;
+  }
+
+  /**
+   * Infer the class of a variable from the code before the cursor
+   * @param {string} variable Variable name including "$"
+   * @param {Object} scope Scope from getScopeAt
+   * @param {number} beforeIndex Only consider definitions before this token
+   * @returns {Object|null} Class data or null
+   */
+  inferVariableType(variable, scope, beforeIndex = scope.cursorIndex) {
+    if (variable === '$this') return scope.currentClass;
+
+    const tokens = scope.tokens;
+    for (let i = beforeIndex - 1; i >= scope.functionStart; i--) {
+      const token = tokens[i];
+
+      // Inline annotations: /** @var Player $player */
+      if (token.type === TOKEN_TYPES.T_DOC_COMMENT || token.type === TOKEN_TYPES.T_COMMENT) {
+        const type = this.getVarAnnotation(token.value, variable, tokens[i + 1]);
+        if (type) return this.resolveTypeName(type, scope, scope.currentClass);
+        continue;
+      }
+
+      if (token.type !== TOKEN_TYPES.T_VARIABLE || token.value !== variable) continue;
+
+      const prev = tokens[i - 1];
+      const next = tokens[i + 1];
+      const after = tokens[i + 2];
+
+      // Assignment: $player = new Player(...). The latest one decides the
+      // type, unless an annotation right above it names the type
+      if (next?.value === '=' && after?.value !== '=' && after?.value !== '>') {
+        const classData = this.inferAssignedType(tokens, i + 2, scope, i);
+        if (classData) return classData;
+        const annotated = (prev?.type === TOKEN_TYPES.T_DOC_COMMENT || prev?.type === TOKEN_TYPES.T_COMMENT) &&
+          this.getVarAnnotation(prev.value, variable, token);
+        return annotated ? this.resolveTypeName(annotated, scope, scope.currentClass) : null;
+      }
+
+      // Narrowing: $sender instanceof Player
+      if (next?.value.toLowerCase() === 'instanceof' && after?.type === TOKEN_TYPES.T_STRING) {
+        return this.resolveTypeName(after.value, scope, scope.currentClass);
+      }
+
+      // Typed declaration: parameters, catch blocks, closures
+      if (prev && (prev.type === TOKEN_TYPES.T_STRING || prev.type === TOKEN_TYPES.T_STATIC) &&
+        !NON_TYPE_KEYWORDS.has(prev.value.toLowerCase())) {
+        return this.resolveTypeName(this.readTypeBefore(tokens, i), scope, scope.currentClass);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a type declaration that ends right before a token
+   * @param {Array} tokens Token array
+   * @param {number} index Index of the token following the type
+   * @returns {string} Type string
+   */
+  readTypeBefore(tokens, index) {
+    let type = '';
+    let i = index - 1;
+    while (i >= 0 &&
+      (tokens[i].type === TOKEN_TYPES.T_STRING || tokens[i].type === TOKEN_TYPES.T_STATIC ||
+        (tokens[i].type === 'CHAR' && /[\\?|]/.test(tokens[i].value)))) {
+      type = tokens[i].value + type;
+      i--;
+    }
+    return type;
+  }
+
+  /**
+   * Read the type of a variable from a @var annotation
+   * @param {string} comment Comment text
+   * @param {string} variable Variable name including "$"
+   * @param {Object} nextToken Token following the comment
+   * @returns {string|null} Type string
+   */
+  getVarAnnotation(comment, variable, nextToken) {
+    const name = variable.substring(1);
+    const named = new RegExp(`@var\\s+([^\\s*]+)\\s+\\$${name}\\b`).exec(comment) ||
+      new RegExp(`@var\\s+\\$${name}\\s+([^\\s*]+)`).exec(comment);
+    if (named) return named[1];
+
+    // Unnamed annotation directly above the variable
+    const unnamed = /@var\s+([^\s*$]+)\s*(?:\*\/|$)/.exec(comment);
+    if (unnamed && nextToken?.value === variable) return unnamed[1];
+
+    return null;
+  }
+
+  /**
+   * Infer the class of the right-hand side of an assignment
+   * @param {Array} tokens Token array
+   * @param {number} start Index of the first token after "="
+   * @param {Object} scope Scope from getScopeAt
+   * @param {number} beforeIndex Index of the assigned variable
+   * @returns {Object|null} Class data or null
+   */
+  inferAssignedType(tokens, start, scope, beforeIndex) {
+    // Find the end of the assigned expression
+    let depth = 0;
+    let end = start;
+    for (; end < tokens.length; end++) {
+      const value = tokens[end].value;
+      if (value === '(' || value === '[' || value === '{') {
+        depth++;
+      } else if (value === ')' || value === ']' || value === '}') {
+        if (depth === 0) break;
+        depth--;
+      } else if ((value === ';' || value === ',') && depth === 0) {
+        break;
+      }
+    }
+    if (end <= start) return null;
+
+    // The chain must span the whole expression, not e.g. "$a ?? $b->c()"
+    const chain = this.readChain(tokens, end - 1);
+    if (!chain || chain.index < start) return null;
+    for (let i = start; i < chain.index; i++) {
+      if (!['new', '(', '\\'].includes(tokens[i].value.toLowerCase())) return null;
+    }
+
+    return this.resolveChain(chain, scope, beforeIndex);
+  }
+
+  /**
+   * Create method completion item
+   * @param {string} methodName Method name
+   * @param {Object} methodData Method data
+   * @returns {Object} Completion item
+   */
+  createMethodCompletion(methodName, methodData) {
+    const params = this.formatParameters(methodData.parameters);
+
+    return {
+      caption: methodName,
+      value: `${methodName}(${params.snippet})`,
+      meta: methodData.modifiers.has('static') ? 'static method' : 'method',
+      score: 1000,
+      docText: this.formatDocText(methodData) + `\n\nSignature: ${methodName}(${params.signature})`
+    };
+  }
+
+  /**
+   * Create function completion item
+   * @param {string} functionName Function name
+   * @param {Object} functionData Function data
+   * @returns {Object} Completion item
+   */
+  createFunctionCompletion(functionName, functionData) {
+    const params = this.formatParameters(functionData.parameters);
+
+    return {
+      caption: functionName,
+      value: `${functionName}(${params.snippet})`,
+      meta: 'function',
+      score: 900,
+      docText: this.formatDocText(functionData) + `\n\nSignature: ${functionName}(${params.signature})`
+    };
+  }
+
+  /**
+   * Format parameters for completion
+   * @param {Array} parameters Parameter array
+   * @returns {Object} Formatted parameters
+   */
+  formatParameters(parameters) {
+    const snippetParams = [];
+    const signatureParams = [];
+
+    parameters.forEach((param, index) => {
+      let paramStr = '';
+
+      // Add type hint
+      if (param.type) {
+        paramStr += `${param.type} `;
+      }
+
+      // Add reference indicator
+      if (param.isReference) {
+        paramStr += '&';
+      }
+
+      // Add variadic indicator
+      if (param.isVariadic) {
+        paramStr += '...';
+      }
+
+      // Add variable name
+      paramStr += `$${param.name}`;
+
+      // Add default value
+      if (param.defaultValue !== null) {
+        paramStr += ` = ${param.defaultValue}`;
+      }
+
+      signatureParams.push(paramStr);
+
+      // For snippet, use placeholder
+      const placeholder = param.defaultValue !== null ?
+        `\${${index + 1}:$${param.name}}` :
+        `\${${index + 1}:$${param.name}}`;
+
+      snippetParams.push(placeholder);
+    });
+
+    return {
+      snippet: snippetParams.join(', '),
+      signature: signatureParams.join(', '),
+      params: signatureParams
+    };
+  }
+
+  /**
+   * Format the quick documentation for a symbol: declaration, declaring
+   * class and PHPDoc
+   * @param {Object} symbol Class, method, property, constant or function data
+   * @returns {string} Documentation text
+   */
+  formatSymbolDoc(symbol) {
+    // Visibility only applies to class members
+    const isMember = !symbol.parameters || symbol.classFullName;
+    const modifiers = MODIFIER_ORDER.filter(modifier => symbol.modifiers?.has(modifier) &&
+      (isMember || !['public', 'protected', 'private'].includes(modifier)));
+    let declaration;
+
+    if (symbol.methods) {
+      // Class, interface, trait or enum
+      declaration = [...modifiers, symbol.type, symbol.fullName].join(' ');
+      if (symbol.backingType) declaration += `: ${symbol.backingType}`;
+      if (symbol.extends.length) declaration += ` extends ${symbol.extends.join(', ')}`;
+      if (symbol.implements.length) declaration += ` implements ${symbol.implements.join(', ')}`;
+    } else if (symbol.parameters) {
+      // Method or function
+      const params = this.formatParameters(symbol.parameters);
+      declaration = [...modifiers, `function ${symbol.name}(${params.signature})`].join(' ');
+      if (symbol.returnType) declaration += ` : ${symbol.returnType}`;
+    } else if (symbol.modifiers?.has('case')) {
+      // Enum case
+      declaration = symbol.value ? `case ${symbol.name} = ${symbol.value}` : `case ${symbol.name}`;
+    } else if ('value' in symbol) {
+      // Class constant
+      declaration = [...modifiers, `const ${symbol.name} = ${symbol.value}`].join(' ');
+    } else {
+      // Property
+      declaration = [...modifiers, symbol.type, `$${symbol.name}`].filter(Boolean).join(' ');
+      if (symbol.defaultValue !== null && symbol.defaultValue !== undefined) {
+        declaration += ` = ${symbol.defaultValue}`;
+      }
+    }
+
+    let text = declaration;
+
+    if (symbol.classFullName) {
+      text += `\n\nClass: ${symbol.classFullName}`;
+    }
+
+    if (symbol.docComment) {
+      text += `\n\n${this.formatDocText(symbol).trim()}`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Format documentation text
+   * @param {Object} data Data object with docComment
+   * @returns {string} Formatted documentation
+   */
+  formatDocText(data) {
+    if (!data.docComment) {
+      return data.name || 'No documentation available';
+    }
+
+    let text = '';
+
+    if (data.docComment.summary) {
+      text += data.docComment.summary;
+    }
+
+    if (data.docComment.description) {
+      text += (text ? '\n\n' : '') + data.docComment.description;
+    }
+
+    // Add parameter info
+    if (data.docComment.tags.has('param')) {
+      const params = data.docComment.tags.get('param');
+      text += '\n\nParameters:\n' + params.map(p => `  ${p}`).join('\n');
+    }
+
+    // Add return info
+    if (data.docComment.tags.has('return')) {
+      const returns = data.docComment.tags.get('return');
+      text += '\n\nReturns: ' + returns[0];
+    }
+
+    return text || (data.name || 'No documentation available');
+  }
+
+  /**
+   * Calculate completion score
+   * @param {string} itemName Item name
+   * @param {string} prefix Search prefix
+   * @param {Object} data Item data
+   * @returns {number} Score
+   */
+  calculateScore(itemName, prefix, data = {}) {
+    let score = 1000;
+
+    const lowerItem = itemName.toLowerCase();
+    const lowerPrefix = prefix.toLowerCase();
+
+    // Exact match gets highest score
+    if (lowerItem === lowerPrefix) {
+      score += 500;
+    }
+    // Starts with prefix gets high score
+    else if (lowerItem.startsWith(lowerPrefix)) {
+      score += 300;
+    }
+    // Contains prefix gets medium score
+    else if (lowerItem.includes(lowerPrefix)) {
+      score += 100;
+    }
+
+    // Boost score for public items
+    if (data.modifiers && data.modifiers.has('public')) {
+      score += 50;
+    }
+
+    // Boost score for commonly used methods
+    const commonMethods = ['__construct', 'getName', 'getId', 'toString', 'getValue'];
+    if (commonMethods.includes(itemName)) {
+      score += 25;
+    }
+
+    return score;
+  }
+
+  /**
+   * Sort completions by score and relevance
+   * @param {Array} completions Completion array
+   * @param {string} prefix Search prefix
+   * @returns {Array} Sorted completions
+   */
+  sortCompletions(completions, prefix) {
+    return completions.sort((a, b) => {
+      // First sort by score (descending)
+      if (a.score !== b.score) {
+        return b.score - a.score;
+      }
+
+      // Then by caption length (ascending - shorter names first)
+      if (a.caption.length !== b.caption.length) {
+        return a.caption.length - b.caption.length;
+      }
+
+      // Finally alphabetically
+      return a.caption.localeCompare(b.caption);
+    });
+  }
+
+  /**
+   * Get the structure of an indexed file: its classes with their own
+   * members, and its functions, in declaration order
+   * @param {string} filePath Path of the file
+   * @returns {Object|null} Namespace, classes and functions, or null if the file is not indexed
+   */
+  getFileOutline(filePath) {
+    const fileData = this.fileIndex.get(this.normalizeFilePath(filePath));
+    if (!fileData) return null;
+
+    const byLine = (a, b) => a.line - b.line;
+    const signature = functionData => {
+      const returnType = functionData.returnType ? ` : ${functionData.returnType}` : '';
+      return `(${this.formatParameters(functionData.parameters).signature})${returnType}`;
+    };
+    const entry = (kind, data, detail) => ({
+      kind,
+      name: data.name,
+      line: data.line,
+      visibility: ['public', 'protected', 'private'].find(modifier => data.modifiers.has(modifier)) || 'public',
+      static: data.modifiers.has('static'),
+      detail
+    });
+
+    const classes = [...fileData.classes.values()].map(classData => {
+      const own = members => [...members.values()].filter(member => !member.inherited && !member.builtin);
+      const members = [
+        ...own(classData.constants).map(constData =>
+          entry(constData.modifiers.has('case') ? 'case' : 'constant', constData, constData.value)),
+        ...own(classData.properties).map(propData => entry('property', propData, propData.type || '')),
+        ...own(classData.methods).map(methodData => entry('method', methodData, signature(methodData)))
+      ];
+
+      return {
+        kind: classData.type,
+        name: classData.name,
+        fullName: classData.fullName,
+        line: classData.line,
+        members: members.sort(byLine)
+      };
+    });
+
+    const functions = [...fileData.functions.values()].map(functionData => ({
+      kind: 'function',
+      name: functionData.name,
+      line: functionData.line,
+      detail: signature(functionData)
+    }));
+
+    return {
+      namespace: fileData.namespace,
+      classes: classes.sort(byLine),
+      functions: functions.sort(byLine)
+    };
+  }
+
+  /**
+   * Get statistics about the indexed data
+   * @returns {Object} Statistics object
+   */
+  getStatistics() {
+    return {
+      classes: this.classes.size - this.interfaces.size - this.traits.size,
+      interfaces: this.interfaces.size,
+      traits: this.traits.size,
+      functions: this.functions.size,
+      namespaces: this.namespaces.size,
+      files: this.fileIndex.size,
+      totalMethods: Array.from(this.classes.values())
+        .reduce((sum, cls) => sum + cls.methods.size, 0),
+      totalProperties: Array.from(this.classes.values())
+        .reduce((sum, cls) => sum + cls.properties.size, 0)
+    };
+  }
+
+  /**
+   * Search for items by name. The query matches when its characters appear
+   * in order in the name, so "gOP" finds getOnlinePlayers.
+   * @param {string} query Search query
+   * @param {string} type Type filter ('class', 'method', 'function' or 'constant')
+   * @param {number} limit Maximum number of results
+   * @returns {Array} Search results, best matches first
+   */
+  search(query, type = null, limit = Infinity) {
+    const results = [];
+    const add = (name, result) => {
+      const score = this.matchScore(name, query);
+      if (score >= 0) results.push({ ...result, name, score });
+    };
+
+    for (const [fullName, classData] of this.classes) {
+      // Search classes
+      if (!type || type === 'class') {
+        add(classData.name, {
+          type: 'class',
+          kind: classData.type,
+          fullName: fullName,
+          namespace: classData.namespace,
+          file: classData.file,
+          line: classData.line
+        });
+      }
+
+      // Search methods and constants declared by the class itself
+      const members = [];
+      if (!type || type === 'method') members.push(['method', classData.methods]);
+      if (!type || type === 'constant') members.push(['constant', classData.constants]);
+
+      for (const [memberType, memberMap] of members) {
+        for (const [memberName, memberData] of memberMap) {
+          if (memberData.inherited) continue;
+          add(memberName, {
+            type: memberType,
+            class: classData.name,
+            fullName: `${fullName}::${memberName}`,
+            namespace: classData.namespace,
+            file: memberData.file,
+            line: memberData.line
           });
         }
       }
     }
 
-    return results;
+    // Search functions
+    if (!type || type === 'function') {
+      for (const [fullName, functionData] of this.functions) {
+        add(functionData.name, {
+          type: 'function',
+          fullName: fullName,
+          namespace: fullName.split('\\').slice(0, -1).join('\\'),
+          file: functionData.file,
+          line: functionData.line
+        });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.fullName.localeCompare(b.fullName))
+      .slice(0, limit);
+  }
+
+  /**
+   * Score how well a name matches a search query
+   * @param {string} name Symbol name
+   * @param {string} query Search query
+   * @returns {number} Score, higher is better, or -1 if the name does not match
+   */
+  matchScore(name, query) {
+    const lowerName = name.toLowerCase();
+    const lowerQuery = query.toLowerCase();
+    if (!lowerQuery) return 0;
+    if (lowerName === lowerQuery) return 1000;
+    if (lowerName.startsWith(lowerQuery)) return 800;
+    if (lowerName.includes(lowerQuery)) return 600;
+
+    // Characters in order, rewarding runs and word starts
+    let score = 0;
+    let position = -1;
+    for (const char of lowerQuery) {
+      const next = lowerName.indexOf(char, position + 1);
+      if (next < 0) return -1;
+
+      if (next === position + 1) score += 5;
+      if (next === 0 || /[A-Z_]/.test(name[next]) || name[next - 1] === '_') score += 10;
+      position = next;
+    }
+
+    return score;
   }
 }
@@ -0,0 +1,199 @@
+/**
+ * New plugin scaffold for PocketMine IDE
+ * Generates plugin.yml and a main class matching the indexed PocketMine version
+ */
+
+const PLUGIN_BASE = 'pocketmine\\plugin\\PluginBase';
+const VERSION_INFO = 'pocketmine\\VersionInfo';
+
+// Plain scalars YAML reads as booleans or null
+const YAML_KEYWORDS = new Set(['true', 'false', 'yes', 'no', 'y', 'n', 'on', 'off', 'null']);
+
+// Used when PocketMine is not indexed
+const DEFAULT_API = '5.0.0';
+const DEFAULT_LIFECYCLE = {
+  onEnable: { visibility: 'protected', returnType: 'void' },
+  onDisable: { visibility: 'protected', returnType: 'void' }
+};
+
+/**
+ * Builds the files of a new PocketMine plugin
+ */
+export class PluginScaffold {
+  /**
+   * @param {import('./phpIndexer').PhpIndexer} indexer Indexer used to match the PocketMine version
+   */
+  constructor(indexer) {
+    this.indexer = indexer;
+  }
+
+  /**
+   * Guess the API version from the indexed VersionInfo class
+   * @returns {string} API version such as 5.0.0
+   */
+  getDefaultApi() {
+    const versionInfo = this.indexer.classes.get(VERSION_INFO);
+    const baseVersion = versionInfo?.constants.get('BASE_VERSION');
+    const match = baseVersion && /(\d+)\.\d+\.\d+/.exec(baseVersion.value);
+
+    return match ? `${match[1]}.0.0` : DEFAULT_API;
+  }
+
+  /**
+   * Check the plugin options
+   * @param {Object} options Plugin name, author, namespace and api
+   * @returns {string[]} Error messages
+   */
+  validateOptions(options) {
+    const errors = [];
+
+    if (!options.name) {
+      errors.push('Plugin name is required');
+    } else if (!/^[A-Za-z0-9 _.-]+$/.test(options.name)) {
+      errors.push('Plugin name may only contain letters, digits, spaces, dots, dashes and underscores');
+    }
+    if (!/^[A-Za-z_]\w*(\\[A-Za-z_]\w*)*$/.test(options.namespace || '')) {
+      errors.push('Namespace must be a valid PHP namespace such as Author\\MyPlugin');
+    }
+    if (!/^\d+\.\d+\.\d+$/.test(options.api || '')) {
+      errors.push('API version must look like 5.0.0');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Generate the plugin files
+   * @param {Object} options Plugin name, author, namespace, api and config flag
+   * @returns {{files: Array<{path: string, content: string}>, mainPath: string, mainLine: number, warnings: string[]}} Files relative to the plugin folder
+   */
+  generate(options) {
+    const errors = this.validateOptions(options);
+    if (errors.length) {
+      throw new Error(errors.join('\n'));
+    }
+
+    const warnings = [];
+    const pluginBase = this.indexer.classes.get(PLUGIN_BASE);
+    if (!pluginBase) {
+      warnings.push('PluginBase is not indexed, the template could not be checked against your PocketMine version');
+    }
+
+    const namespace = options.namespace.replace(/^\\/, '');
+    const mainPath = `src/${namespace.replace(/\\/g, '/')}/Main.php`;
+    const { content, line } = this.generateMainClass(namespace, pluginBase, options.config, warnings);
+
+    const files = [
+      { path: 'plugin.yml', content: this.generatePluginYml(options, namespace) },
+      { path: mainPath, content }
+    ];
+
+    if (options.config) {
+      files.push({ path: 'resources/config.yml', content: `# Configuration of ${options.name}\n` });
+    }
+
+    return { files, mainPath, mainLine: line, warnings };
+  }
+
+  /**
+   * Generate plugin.yml
+   * @param {Object} options Plugin options
+   * @param {string} namespace Plugin namespace
+   * @returns {string} plugin.yml content
+   */
+  generatePluginYml(options, namespace) {
+    const lines = [
+      `name: ${this.formatYamlString(options.name)}`,
+      `main: ${namespace}\\Main`,
+      'version: 1.0.0',
+      `api: ${options.api}`
+    ];
+
+    if (options.author) {
+      lines.push(`author: ${this.formatYamlString(options.author)}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Format a string as a YAML scalar, quoting it unless it reads back as
+   * the same plain string
+   * @param {string} value String value
+   * @returns {string} Plain or double-quoted scalar
+   */
+  formatYamlString(value) {
+    const plain = /^[A-Za-z_][\w .-]*$/.test(value) && !value.endsWith(' ') &&
+      !YAML_KEYWORDS.has(value.toLowerCase());
+
+    // A JSON string is a valid double-quoted YAML scalar
+    return plain ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Generate the main class, using the lifecycle method signatures of the
+   * indexed PluginBase
+   * @param {string} namespace Plugin namespace
+   * @param {Object|null} pluginBase Indexed PluginBase class
+   * @param {boolean} config True to save the default config on enable
+   * @param {string[]} warnings Collects template problems
+   * @returns {{content: string, line: number}} Class source and the line of onEnable's body
+   */
+  generateMainClass(namespace, pluginBase, config, warnings) {
+    const methods = Object.keys(DEFAULT_LIFECYCLE).map(name => {
+      const body = [];
+      if (name === 'onEnable' && config) {
+        if (!pluginBase || this.indexer.findMethod(pluginBase, 'saveDefaultConfig')) {
+          body.push('$this->saveDefaultConfig();');
+        } else {
+          warnings.push('PluginBase has no saveDefaultConfig(), config.yml is not saved on enable');
+        }
+      }
+      return { ...this.getLifecycleSignature(pluginBase, name, warnings), body };
+    });
+
+    const lines = [
+      '<?php',
+      '',
+      'declare(strict_types=1);',
+      '',
+      `namespace ${namespace};`,
+      '',
+      `use ${PLUGIN_BASE};`,
+      '',
+      'class Main extends PluginBase {'
+    ];
+
+    let bodyLine = 0;
+    for (const method of methods) {
+      const returnType = method.returnType ? ` : ${method.returnType}` : '';
+      lines.push('', `\t${method.visibility} function ${method.name}()${returnType} {`);
+      if (method.name === 'onEnable') bodyLine = lines.length + 1;
+      lines.push(...method.body.map(statement => `\t\t${statement}`), '\t}');
+    }
+    lines.push('}', '');
+
+    return { content: lines.join('\n'), line: bodyLine };
+  }
+
+  /**
+   * Get the signature of a PluginBase lifecycle method
+   * @param {Object|null} pluginBase Indexed PluginBase class
+   * @param {string} name Method name
+   * @param {string[]} warnings Collects template problems
+   * @returns {{name: string, visibility: string, returnType: string}} Signature
+   */
+  getLifecycleSignature(pluginBase, name, warnings) {
+    const methodData = pluginBase ? this.indexer.findMethod(pluginBase, name) : null;
+
+    if (!methodData) {
+      if (pluginBase) {
+        warnings.push(`PluginBase has no ${name}() method, the default signature is used`);
+      }
+      return { name, ...DEFAULT_LIFECYCLE[name] };
+    }
+
+    const visibility = ['public', 'protected', 'private'].find(modifier => methodData.modifiers.has(modifier));
+    return { name: methodData.name, visibility, returnType: methodData.returnType || '' };
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * plugin.yml support for PocketMine IDE
+ * Completes and validates PocketMine plugin manifests
+ */
+
+// Top level keys PocketMine reads from plugin.yml
+const TOP_LEVEL_KEYS = {
+  name: 'Name of the plugin',
+  main: 'Fully qualified name of the class extending PluginBase',
+  version: 'Version of the plugin',
+  api: 'PocketMine-MP API versions the plugin supports',
+  description: 'Short description of the plugin',
+  author: 'Author of the plugin',
+  authors: 'List of authors',
+  website: 'Website of the plugin',
+  prefix: 'Prefix used by the plugin logger',
+  load: 'When the plugin loads: STARTUP or POSTWORLD',
+  depend: 'Plugins that must be loaded before this one',
+  softdepend: 'Plugins that should be loaded before this one if present',
+  loadbefore: 'Plugins this one must be loaded before',
+  extensions: 'Required PHP extensions',
+  'mcpe-protocol': 'Supported Minecraft protocol versions',
+  os: 'Supported operating systems',
+  commands: 'Commands registered by the plugin',
+  permissions: 'Permissions registered by the plugin',
+  'src-namespace-prefix': 'Namespace prefix mapped to the src directory'
+};
+
+const REQUIRED_KEYS = ['name', 'main', 'version', 'api'];
+
+// Keys of an entry below `commands`
+const COMMAND_KEYS = {
+  description: 'Description shown in /help',
+  usage: 'Usage message',
+  aliases: 'Alternative names of the command',
+  permission: 'Permission required to run the command',
+  'permission-message': 'Message shown when the permission is missing'
+};
+
+// Keys of an entry below `permissions`
+const PERMISSION_KEYS = {
+  description: 'Description of the permission',
+  default: 'Who has the permission by default',
+  children: 'Child permissions'
+};
+
+const LOAD_VALUES = ['STARTUP', 'POSTWORLD'];
+
+// Values PocketMine accepts for a permission default
+const PERMISSION_DEFAULTS = [
+  'op', 'notop', 'true', 'false', 'isop', 'operator', 'isoperator', 'admin',
+  'isadmin', '!op', '!operator', 'notoperator', '!admin', 'notadmin'
+];
+
+const PLUGIN_BASE = 'pocketmine\\plugin\\PluginBase';
+
+/**
+ * Completion and validation for plugin.yml files
+ */
+export class PluginYml {
+  /**
+   * @param {import('./phpIndexer').PhpIndexer} indexer Indexer used to look up classes
+   */
+  constructor(indexer) {
+    this.indexer = indexer;
+  }
+
+  /**
+   * Check whether a file name is a plugin manifest
+   * @param {string} filename File name
+   * @returns {boolean} True for plugin.yml
+   */
+  static isPluginYml(filename) {
+    return filename === 'plugin.yml';
+  }
+
+  /**
+   * Read the keys of a YAML document line by line. Only block mappings are
+   * understood, which covers the layout of plugin manifests.
+   * @param {string} source YAML source
+   * @returns {Array<Object>} Entries with key, value, path, row and column
+   */
+  parse(source) {
+    const entries = [];
+    const stack = [{ indent: -1, path: [] }];
+    let blockIndent = null;
+
+    source.split(/\r?\n/).forEach((rawLine, row) => {
+      const line = rawLine.replace(/(^|\s)#.*$/, '');
+      if (!line.trim() || /^(---|\.\.\.)/.test(line)) return;
+
+      const indent = line.search(/\S/);
+
+      // Skip the content of | and > block scalars
+      if (blockIndent !== null) {
+        if (indent > blockIndent) return;
+        blockIndent = null;
+      }
+
+      // List items belong to the key above them
+      if (/^-(\s|$)/.test(line.trim())) return;
+
+      const match = line.trim().match(/^(["']?)([^"':]+)\1\s*:(?:\s+(.*))?$/);
+      if (!match) return;
+
+      while (stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+
+      const key = match[2].trim();
+      const value = (match[3] || '').trim();
+      const path = [...stack[stack.length - 1].path, key];
+
+      entries.push({
+        key,
+        value: value.replace(/^(["'])(.*)\1$/, '$2'),
+        path,
+        row,
+        column: indent
+      });
+
+      if (!value) {
+        stack.push({ indent, path });
+      } else if (/^[|>][-+]?\d*$/.test(value)) {
+        blockIndent = indent;
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Get the known keys for the mapping at a path
+   * @param {string[]} path Path of the parent mapping
+   * @returns {Object|null} Key descriptions, or null if the keys are free-form
+   */
+  getKeysFor(path) {
+    if (path.length === 0) return TOP_LEVEL_KEYS;
+    if (path.length === 2 && path[0] === 'commands') return COMMAND_KEYS;
+    if (path.length === 2 && path[0] === 'permissions') return PERMISSION_KEYS;
+    return null;
+  }
+
+  /**
+   * Get completions at a position of a plugin.yml document
+   * @param {string} source Document source
+   * @param {Object} pos Cursor position with row and column
+   * @param {string} prefix Current prefix
+   * @returns {Array} Completion items
+   */
+  getCompletions(source, pos, prefix) {
+    const entries = this.parse(source);
+    const line = source.split(/\r?\n/)[pos.row] || '';
+    const beforeCursor = line.substring(0, pos.column);
+
+    // Typing a key
+    const keyMatch = /^(\s*)[\w-]*$/.exec(beforeCursor);
+    if (keyMatch) {
+      const parent = this.getParentPath(entries, pos.row, keyMatch[1].length);
+      const keys = this.getKeysFor(parent);
+      if (!keys) return [];
+
+      const siblings = new Set(entries
+        .filter(entry => entry.row !== pos.row && entry.path.length === parent.length + 1 &&
+          parent.every((part, i) => entry.path[i] === part))
+        .map(entry => entry.key));
+
+      return Object.entries(keys)
+        .filter(([key]) => !siblings.has(key))
+        .map(([key, description]) => ({
+          caption: key,
+          value: `${key}: `,
+          meta: 'plugin.yml',
+          score: this.indexer.calculateScore(key, prefix),
+          docText: description
+        }));
+    }
+
+    // Typing a value
+    const valueMatch = /^(\s*)([\w-]+)\s*:\s*(\S*)$/.exec(beforeCursor);
+    if (!valueMatch) return [];
+
+    const parent = this.getParentPath(entries, pos.row, valueMatch[1].length);
+    const key = valueMatch[2];
+
+    if (parent.length === 0 && key === 'main') {
+      return this.getMainCompletions(valueMatch[3]);
+    }
+
+    let values = [];
+    if (parent.length === 0 && key === 'load') {
+      values = LOAD_VALUES;
+    } else if (parent.length === 2 && parent[0] === 'permissions' && key === 'default') {
+      values = ['op', 'notop', 'true', 'false'];
+    }
+
+    return values.map(value => ({
+      caption: value,
+      value,
+      meta: key,
+      score: this.indexer.calculateScore(value, prefix)
+    }));
+  }
+
+  /**
+   * Find the path of the mapping a line at an indentation belongs to
+   * @param {Array<Object>} entries Parsed entries
+   * @param {number} row Row of the line
+   * @param {number} indent Indentation of the line
+   * @returns {string[]} Path of the parent mapping
+   */
+  getParentPath(entries, row, indent) {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      if (entry.row >= row || entry.column >= indent) continue;
+      return entry.value ? entry.path.slice(0, -1) : entry.path;
+    }
+    return [];
+  }
+
+  /**
+   * Complete the `main` value with plugin classes from the index
+   * @param {string} typed Text typed after `main:`
+   * @returns {Array} Completion items
+   */
+  getMainCompletions(typed) {
+    const pluginBase = this.indexer.classes.get(PLUGIN_BASE);
+    const query = typed.replace(/^\\/, '');
+    const completions = [];
+
+    for (const [fullName, classData] of this.indexer.classes) {
+      if (classData.fullName === PLUGIN_BASE) continue;
+      if (pluginBase && !this.indexer.isSubclassOf(classData, pluginBase)) continue;
+      if (!fullName.toLowerCase().includes(query.toLowerCase())) continue;
+
+      completions.push({
+        caption: fullName,
+        value: fullName,
+        meta: 'plugin class',
+        score: this.indexer.calculateScore(fullName, query),
+        // Replace the whole typed name, Ace's prefix stops at backslashes
+        completer: {
+          insertMatch: (editor, data) => {
+            const cursor = editor.getCursorPosition();
+            const line = editor.session.getLine(cursor.row);
+            const start = line.substring(0, cursor.column).search(/\\?[\w\\]*$/);
+            editor.session.replace({ start: { row: cursor.row, column: start }, end: cursor }, data.value);
+          }
+        }
+      });
+    }
+
+    return completions;
+  }
+
+  /**
+   * Validate a plugin.yml document
+   * @param {string} source Document source
+   * @returns {Array<Object>} Ace annotations
+   */
+  validate(source) {
+    const entries = this.parse(source);
+    const annotations = [];
+    const report = (entry, text, type = 'error') => {
+      annotations.push({ row: entry ? entry.row : 0, column: entry ? entry.column : 0, text, type });
+    };
+
+    const topLevel = new Map();
+    for (const entry of entries) {
+      const parent = entry.path.slice(0, -1);
+      const keys = this.getKeysFor(parent);
+
+      if (parent.length === 0) {
+        topLevel.set(entry.key, entry);
+      }
+
+      if (keys && !Object.prototype.hasOwnProperty.call(keys, entry.key)) {
+        const where = parent.length === 0 ? '' : ` in ${parent[0]} entry "${parent[1]}"`;
+        report(entry, `Unknown key "${entry.key}"${where}`, 'warning');
+        continue;
+      }
+
+      if (parent.length === 2 && parent[0] === 'permissions' && entry.key === 'default' &&
+        !PERMISSION_DEFAULTS.includes(entry.value.toLowerCase())) {
+        report(entry, `Invalid permission default "${entry.value}"`);
+      }
+    }
+
+    for (const key of REQUIRED_KEYS) {
+      const entry = topLevel.get(key);
+      if (!entry || !entry.value) {
+        report(entry, `Missing required key "${key}"`);
+      }
+    }
+
+    const name = topLevel.get('name');
+    if (name && name.value && !/^[A-Za-z0-9 _.-]+$/.test(name.value)) {
+      report(name, 'Plugin name may only contain letters, digits, spaces, dots, dashes and underscores');
+    }
+
+    const load = topLevel.get('load');
+    if (load && !LOAD_VALUES.includes(load.value.toUpperCase())) {
+      report(load, `Invalid load order "${load.value}", expected STARTUP or POSTWORLD`);
+    }
+
+    const main = topLevel.get('main');
+    if (main && main.value) {
+      this.validateMain(main, report);
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Check that the main class exists and extends PluginBase
+   * @param {Object} entry The `main` entry
+   * @param {Function} report Annotation callback
+   */
+  validateMain(entry, report) {
+    // Nothing to compare against before the first index
+    if (this.indexer.classes.size === 0) return;
+
+    const className = entry.value.replace(/^\\/, '');
+    const classData = this.indexer.classes.get(className);
+    if (!classData) {
+      report(entry, `Main class "${className}" was not found in the index`);
+      return;
+    }
+
+    const pluginBase = this.indexer.classes.get(PLUGIN_BASE);
+    if (pluginBase && !this.indexer.isSubclassOf(classData, pluginBase)) {
+      report(entry, `Main class "${className}" does not extend PluginBase`, 'warning');
+    }
+  }
+}
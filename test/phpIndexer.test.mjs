@@ -0,0 +1,1540 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhpIndexer } from '../src/phpIndexer.js';
+
+/**
+ * Serve files from memory through Acode's file system API
+ * @param {Object<string, string>} files File contents by path
+ * @param {Object<string, number>} modified Modification times by path, 1 when missing
+ */
+function mockFileSystem(files, modified = {}) {
+  globalThis.acode = {
+    fsOperation: {
+      async readFile(filePath) {
+        if (!(filePath in files)) throw new Error(`${filePath} not found`);
+        return files[filePath];
+      },
+      async lsDir(dirPath) {
+        const names = new Map();
+        for (const filePath of Object.keys(files)) {
+          if (!filePath.startsWith(`${dirPath}/`)) continue;
+          const [name, ...rest] = filePath.substring(dirPath.length + 1).split('/');
+          names.set(name, rest.length > 0);
+        }
+        if (!names.size) throw new Error(`${dirPath} not found`);
+        return [...names].map(([name, isDirectory]) => ({ name, url: `${dirPath}/${name}`, isDirectory }));
+      },
+      async stat(filePath) {
+        return { length: files[filePath].length, lastModified: modified[filePath] || 1 };
+      }
+    }
+  };
+}
+
+/**
+ * Index PHP sources held in memory
+ * @param {Object<string, string>} files PHP sources by path
+ * @returns {Promise<PhpIndexer>} Indexer holding the sources
+ */
+async function indexFiles(files) {
+  mockFileSystem(files);
+  const indexer = new PhpIndexer();
+  for (const filePath of Object.keys(files)) {
+    await indexer.processPhpFile(filePath);
+  }
+  indexer.postProcessIndex();
+  return indexer;
+}
+
+/**
+ * Split a source at its cursor marker
+ * @param {string} text Source with one "|" marking the cursor
+ * @returns {{source: string, offset: number}} Source without the marker and the cursor offset
+ */
+function withCursor(text) {
+  const offset = text.indexOf('|');
+  return { source: text.slice(0, offset) + text.slice(offset + 1), offset };
+}
+
+/**
+ * Names offered by a list of completions
+ * @param {Array} completions Completion items
+ * @returns {string[]} Captions without their parameter lists
+ */
+function completionNames(completions) {
+  return completions.map(completion => completion.caption.replace(/\(.*$/, ''));
+}
+
+/**
+ * Apply planned edits to a source, last edit first
+ * @param {string} source Source text
+ * @param {Array<{offset: number, end?: number, text: string}>} edits Planned edits
+ * @returns {string} Edited source
+ */
+function applyEdits(source, edits) {
+  return [...edits]
+    .sort((a, b) => b.offset - a.offset)
+    .reduce((text, edit) => text.slice(0, edit.offset) + edit.text + text.slice(edit.end ?? edit.offset), source);
+}
+
+const PLAYER = `<?php
+namespace pocketmine\\player;
+
+use pocketmine\\Server;
+
+class Player {
+  /** @var Server */
+  protected $server;
+
+  public function getName() : string { return ''; }
+  public function getServer() : Server { return $this->server; }
+}
+`;
+
+const SERVER = `<?php
+namespace pocketmine;
+
+use pocketmine\\plugin\\PluginManager;
+
+class Server {
+  public static function getInstance() : self { return new self(); }
+  public function getPluginManager() : PluginManager { return new PluginManager(); }
+}
+`;
+
+const PLUGIN_MANAGER = `<?php
+namespace pocketmine\\plugin;
+
+class PluginManager {
+  public function registerEvents(Listener $listener, Plugin $plugin) : void {}
+}
+`;
+
+/**
+ * Index a small PocketMine API next to extra sources
+ * @param {Object<string, string>} files Extra PHP sources by path
+ * @returns {Promise<PhpIndexer>} Indexer holding the sources
+ */
+function indexPocketMine(files = {}) {
+  return indexFiles({
+    '/pm/src/player/Player.php': PLAYER,
+    '/pm/src/Server.php': SERVER,
+    '/pm/src/plugin/PluginManager.php': PLUGIN_MANAGER,
+    ...files
+  });
+}
+
+test('-> completes the class inferred for a variable', async () => {
+  const indexer = await indexPocketMine();
+  const complete = text => completionNames(indexer.getMethodCompletions('', { ...withCursor(text), file: '/plugin/src/Main.php' }));
+
+  const prefix = `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+
+function greet(Player $typed, $annotated) {
+  /** @var Player $annotated */
+  $created = new Player();
+`;
+
+  for (const variable of ['$typed', '$annotated', '$created']) {
+    const names = complete(`${prefix}  ${variable}->|`);
+    assert.ok(names.includes('getName'), variable);
+    assert.ok(!names.includes('getPluginManager'), variable);
+  }
+});
+
+test('the latest assignment decides the class of a variable', async () => {
+  const indexer = await indexPocketMine();
+  const complete = text => completionNames(indexer.getMethodCompletions('', { ...withCursor(text), file: '/plugin/src/Main.php' }));
+
+  const prefix = `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+
+function greet($server) {
+  $player = new Player();
+`;
+
+  // An unknown type falls back to the methods of every class
+  assert.ok(complete(`${prefix}  $player = 5;\n  $player->|`).includes('getPluginManager'));
+  assert.ok(complete(`${prefix}  $player = $server->find();\n  $player->|`).includes('getPluginManager'));
+  assert.ok(!complete(`${prefix}  /** @var Player $player */\n  $player = $server->find();\n  $player->|`).includes('getPluginManager'));
+});
+
+test('-> follows method chains through return types', async () => {
+  const indexer = await indexPocketMine();
+  const complete = text => completionNames(indexer.getMethodCompletions('', { ...withCursor(text), file: '/plugin/src/Main.php' }));
+
+  const prefix = `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+use pocketmine\\Server;
+
+function greet(Player $player) {
+`;
+
+  assert.ok(complete(`${prefix}  $player->getServer()->getPluginManager()->|`).includes('registerEvents'));
+  assert.ok(complete(`${prefix}  Server::getInstance()->|`).includes('getPluginManager'));
+  assert.ok(complete(`${prefix}  (new Player())->getServer()->|`).includes('getPluginManager'));
+});
+
+test('$this, self, static and parent complete the enclosing class', async () => {
+  const indexer = await indexPocketMine({
+    '/plugin/src/Base.php': `<?php
+namespace my\\plugin;
+
+class Base {
+  protected function prepare() : void {}
+  private function secret() : void {}
+  public static function create() : static { return new static(); }
+}
+`
+  });
+  const file = '/plugin/src/Child.php';
+  const prefix = `<?php
+namespace my\\plugin;
+
+class Child extends Base {
+  private int $count = 0;
+  private static function helper() : void {}
+
+  public function run() : void {
+`;
+  const instance = text => completionNames(indexer.getMethodCompletions('', { ...withCursor(text), file }));
+  const scoped = text => completionNames(indexer.getStaticMethodCompletions('', { ...withCursor(text), file }));
+
+  const members = instance(`${prefix}    $this->|`);
+  assert.ok(members.includes('count') && members.includes('run') && members.includes('prepare'));
+  assert.ok(!members.includes('secret'));
+
+  assert.ok(scoped(`${prefix}    self::|`).includes('helper'));
+  assert.ok(scoped(`${prefix}    static::|`).includes('create'));
+  const parent = scoped(`${prefix}    parent::|`);
+  assert.ok(parent.includes('prepare') && !parent.includes('helper'));
+});
+
+test('go to definition finds classes, methods, constants and functions', async () => {
+  const indexer = await indexPocketMine({
+    '/plugin/src/functions.php': `<?php
+namespace my\\plugin;
+
+const GREETING = 'Hello';
+
+function greet(string $name) : string { return GREETING . $name; }
+`
+  });
+  const define = text => indexer.findDefinition({ ...withCursor(text), file: '/plugin/src/Main.php' });
+  const prefix = `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+
+function welcome(Player $player) {
+`;
+
+  const classData = define(`${prefix}  $player instanceof Pla|yer;`);
+  assert.equal(classData?.fullName, 'pocketmine\\player\\Player');
+  assert.equal(classData.file, '/pm/src/player/Player.php');
+
+  const method = define(`${prefix}  $player->getServer()->getPlugin|Manager();`);
+  assert.equal(method?.name, 'getPluginManager');
+  assert.equal(method.line, 8);
+
+  const functionData = define(`${prefix}  gre|et($player->getName());`);
+  assert.equal(functionData?.file, '/plugin/src/functions.php');
+  assert.equal(functionData.line, 6);
+});
+
+test('quick documentation shows the declaration, class and PHPDoc', async () => {
+  const indexer = await indexPocketMine({
+    '/plugin/src/Greeter.php': `<?php
+namespace my\\plugin;
+
+class Greeter {
+  /**
+   * Greet a player by name
+   * @param string $name Player name
+   */
+  public function greet(string $name, int $times = 1) : string { return $name; }
+}
+`
+  });
+  const symbol = indexer.findDefinition({ ...withCursor(`<?php
+namespace my\\plugin;
+
+function welcome(Greeter $greeter) {
+  $greeter->gr|eet('Steve');
+}
+`), file: '/plugin/src/Main.php' });
+  const [declaration, ...rest] = indexer.formatSymbolDoc(symbol).split('\n\n');
+
+  assert.equal(declaration, 'public function greet(string $name, int $times = 1) : string');
+  assert.equal(rest[0], 'Class: my\\plugin\\Greeter');
+  assert.match(rest[1], /^Greet a player by name/);
+});
+
+test('quick documentation writes modifiers in declaration order', async () => {
+  const indexer = await indexPocketMine({
+    '/plugin/src/functions.php': `<?php
+namespace my\\plugin;
+
+function welcome(string $name) : void {}
+`
+  });
+  const doc = text => indexer.formatSymbolDoc(indexer.findDefinition({ ...withCursor(text), file: '/plugin/src/Main.php' }));
+
+  assert.equal(doc(`<?php\nuse pocketmine\\Server;\nServer::getIns|tance();\n`).split('\n\n')[0],
+    'public static function getInstance() : self');
+  // Functions have no visibility
+  assert.equal(doc(`<?php\nnamespace my\\plugin;\nwel|come('Steve');\n`), 'function welcome(string $name) : void');
+});
+
+test('signature help tracks the active argument', async () => {
+  const indexer = await indexPocketMine({
+    '/plugin/src/Greeter.php': `<?php
+namespace my\\plugin;
+
+class Greeter {
+  public function __construct(string $greeting) {}
+  public function greet(string $name, array $options, int ...$times) : string { return $name; }
+}
+`
+  });
+  const help = text => indexer.getSignatureHelp({ ...withCursor(text), file: '/plugin/src/Main.php' });
+  const prefix = `<?php
+namespace my\\plugin;
+
+function welcome(Greeter $greeter) {
+`;
+
+  const call = help(`${prefix}  $greeter->greet('Steve', ['a', 'b'], |`);
+  assert.equal(call?.name, 'greet');
+  assert.equal(call.activeParameter, 2);
+  assert.equal(call.returnType, 'string');
+
+  assert.equal(help(`${prefix}  $greeter->greet('Steve', [1, |`).activeParameter, 1);
+  assert.equal(help(`${prefix}  $greeter->greet('Steve', [], 1, 2, |`).activeParameter, 2);
+
+  const constructor = help(`${prefix}  new Greeter(|`);
+  assert.equal(constructor?.name, 'Greeter');
+  assert.deepEqual(constructor.parameters.map(parameter => parameter.name), ['greeting']);
+});
+
+test('a stored index is reloaded and only changed files are parsed again', async () => {
+  const files = {
+    '/pm/src/player/Player.php': PLAYER,
+    '/pm/src/Server.php': SERVER,
+    '/pm/src/plugin/PluginManager.php': PLUGIN_MANAGER
+  };
+  const parsed = [];
+  const track = indexer => {
+    const processPhpFile = indexer.processPhpFile.bind(indexer);
+    indexer.processPhpFile = filePath => {
+      parsed.push(filePath);
+      return processPhpFile(filePath);
+    };
+    return indexer;
+  };
+
+  mockFileSystem(files);
+  const first = track(new PhpIndexer());
+  await first.indexPhpFiles('/pm/src');
+  assert.equal(parsed.length, 3);
+
+  const second = track(new PhpIndexer());
+  assert.ok(second.loadSerializedIndex(first.serializeIndex()));
+  const player = second.classes.get('pocketmine\\player\\Player');
+  assert.ok(player.methods.get('getName').modifiers.has('public'));
+  assert.equal(player.file, '/pm/src/player/Player.php');
+
+  parsed.length = 0;
+  mockFileSystem({ ...files, '/pm/src/Server.php': SERVER.replace('getInstance', 'instance') }, { '/pm/src/Server.php': 2 });
+  await second.indexPhpFiles('/pm/src');
+  assert.deepEqual(parsed, ['/pm/src/Server.php']);
+  assert.ok(second.classes.get('pocketmine\\Server').methods.has('instance'));
+  assert.ok(!second.classes.get('pocketmine\\Server').methods.has('getInstance'));
+});
+
+test('without stat, changed files are found by their content', async () => {
+  const files = {
+    '/pm/src/player/Player.php': PLAYER,
+    '/pm/src/Server.php': SERVER
+  };
+  const withoutStat = contents => {
+    mockFileSystem(contents);
+    delete acode.fsOperation.stat;
+  };
+
+  withoutStat(files);
+  const indexer = new PhpIndexer();
+  await indexer.indexPhpFiles('/pm/src');
+
+  const parsed = [];
+  const processPhpFile = indexer.processPhpFile.bind(indexer);
+  indexer.processPhpFile = filePath => {
+    parsed.push(filePath);
+    return processPhpFile(filePath);
+  };
+
+  // Same size, different content
+  withoutStat({ ...files, '/pm/src/Server.php': SERVER.replace('getInstance', 'getInstancf') });
+  await indexer.indexPhpFiles('/pm/src');
+  assert.deepEqual(parsed, ['/pm/src/Server.php']);
+  assert.ok(indexer.classes.get('pocketmine\\Server').methods.has('getInstancf'));
+});
+
+test('re-indexing one file updates the classes extending it', async () => {
+  const base = `<?php
+namespace my\\plugin;
+
+class Base {
+  public function greet() : void {}
+}
+`;
+  const indexer = await indexFiles({
+    '/plugin/src/Base.php': base,
+    '/plugin/src/Child.php': `<?php
+namespace my\\plugin;
+
+class Child extends Base {}
+`
+  });
+  const child = indexer.classes.get('my\\plugin\\Child');
+  assert.ok(child.methods.has('greet'));
+
+  await indexer.updateFile('/plugin/src/Base.php', base.replace('greet', 'wave'), false);
+  assert.ok(child.methods.has('wave'));
+  assert.ok(!child.methods.has('greet'));
+
+  // Unsaved buffers are parsed from disk again by the next full index
+  assert.ok(await indexer.isFileChanged('/plugin/src/Base.php'));
+});
+
+test('re-indexing one file only refreshes the classes depending on it', async () => {
+  const greeting = `<?php
+namespace my\\plugin;
+
+trait Greeting {
+  public function greet() : void {}
+}
+`;
+  const indexer = await indexPocketMine({
+    '/plugin/src/Greeting.php': greeting,
+    '/plugin/src/Base.php': `<?php
+namespace my\\plugin;
+
+abstract class Base {
+  use Greeting;
+}
+`,
+    '/plugin/src/Child.php': `<?php
+namespace my\\plugin;
+
+class Child extends Base {}
+`
+  });
+
+  const refreshed = [];
+  const resetInheritance = indexer.resetInheritance.bind(indexer);
+  indexer.resetInheritance = classData => {
+    refreshed.push(classData.name);
+    return resetInheritance(classData);
+  };
+
+  await indexer.updateFile('/plugin/src/Greeting.php', greeting.replace('greet', 'wave'), false);
+  assert.deepEqual(refreshed.sort(), ['Base', 'Child', 'Greeting']);
+  assert.ok(indexer.classes.get('my\\plugin\\Child').methods.has('wave'));
+});
+
+test('the root with the higher priority wins a duplicate class', async () => {
+  const copy = PLAYER.replace('getName', 'getDisplayName');
+  const files = {
+    '/pm/src/player/Player.php': PLAYER,
+    '/plugin/src/player/Player.php': copy
+  };
+  mockFileSystem(files);
+  const indexer = new PhpIndexer();
+  await indexer.indexPhpFiles([{ path: '/pm/src', priority: 10 }, { path: '/plugin/src', priority: 30 }]);
+
+  const player = () => indexer.classes.get('pocketmine\\player\\Player');
+  assert.equal(player().file, '/plugin/src/player/Player.php');
+  assert.ok(player().methods.has('getDisplayName'));
+
+  // The hidden declaration takes over when the winning root goes away
+  mockFileSystem({ '/pm/src/player/Player.php': PLAYER });
+  await indexer.indexPhpFiles([{ path: '/pm/src', priority: 10 }]);
+  assert.equal(player().file, '/pm/src/player/Player.php');
+  assert.ok(player().methods.has('getName'));
+});
+
+test('composer autoload paths and poggit virions are indexed', async () => {
+  mockFileSystem({
+    '/project/composer.json': JSON.stringify({ autoload: { 'psr-4': { 'my\\plugin\\': 'src/' } } }),
+    '/project/vendor/composer/installed.json': JSON.stringify({
+      packages: [{ name: 'acme/util', 'install-path': '../acme/util', autoload: { 'psr-4': { 'acme\\': ['lib/'] }, files: ['helpers.php'] } }]
+    }),
+    '/project/.poggit.yml': `projects:
+  MyPlugin:
+    libs:
+      - src: muqsit/InvMenu/InvMenu
+        version: ^4.0.0
+      - src: libs/Forms
+        vendor: raw
+`,
+    '/project/virions/InvMenu/src/InvMenu.php': '<?php',
+    '/project/libs/Forms/Form.php': '<?php',
+    '/project/src/Main.php': '<?php'
+  });
+
+  const paths = await new PhpIndexer().getSourcePaths('/project');
+  assert.deepEqual(paths, [
+    '/project/src',
+    '/project/vendor/acme/util/lib',
+    '/project/vendor/acme/util/helpers.php',
+    '/project/virions/InvMenu',
+    '/project/libs/Forms'
+  ]);
+});
+
+test('an event handler is added with its imports', async () => {
+  const indexer = await indexPocketMine({
+    '/pm/src/event/Listener.php': `<?php
+namespace pocketmine\\event;
+
+interface Listener {}
+`,
+    '/pm/src/event/player/PlayerJoinEvent.php': `<?php
+namespace pocketmine\\event\\player;
+
+class PlayerJoinEvent {}
+`
+  });
+  const { source, offset } = withCursor(`<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+
+class Main {
+  |public function onPlayerJoin() : void {}
+}
+`);
+  const plan = indexer.planEventHandler({ source, offset, file: '/plugin/src/Main.php' }, 'pocketmine\\event\\player\\PlayerJoinEvent', '  ');
+  const edited = applyEdits(source, plan.edits);
+
+  assert.equal(plan.methodName, 'onPlayerJoin2');
+  assert.equal(edited, `<?php
+namespace my\\plugin;
+
+use pocketmine\\event\\Listener;
+use pocketmine\\event\\player\\PlayerJoinEvent;
+use pocketmine\\player\\Player;
+
+class Main implements Listener {
+  public function onPlayerJoin() : void {}
+
+  public function onPlayerJoin2(PlayerJoinEvent $event) : void {
+    
+  }
+}
+`);
+  assert.equal(edited.slice(plan.cursorOffset - 4, plan.cursorOffset + 4), '    \n  }');
+});
+
+test('imports added without a use block keep a blank line before the class', async () => {
+  const indexer = await indexPocketMine({
+    '/pm/src/event/Listener.php': `<?php
+namespace pocketmine\\event;
+
+interface Listener {}
+`,
+    '/pm/src/event/player/PlayerJoinEvent.php': `<?php
+namespace pocketmine\\event\\player;
+
+class PlayerJoinEvent {}
+`
+  });
+  const { source, offset } = withCursor(`<?php
+namespace my\\plugin;
+class Main {
+  |
+}
+`);
+  const plan = indexer.planEventHandler({ source, offset, file: '/plugin/src/Main.php' }, 'pocketmine\\event\\player\\PlayerJoinEvent', '  ');
+
+  assert.ok(applyEdits(source, plan.edits).startsWith(`<?php
+namespace my\\plugin;
+
+use pocketmine\\event\\Listener;
+use pocketmine\\event\\player\\PlayerJoinEvent;
+
+class Main implements Listener {
+`));
+});
+
+test('accepted classes are imported in sorted position', async () => {
+  const indexer = await indexPocketMine();
+  const source = `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+use pocketmine\\Server as PMServer;
+
+class Main {}
+`;
+  const document = indexer.parseDocument(source, '/plugin/src/Main.php');
+  const importOf = fullName => {
+    const plan = indexer.planImport(document, fullName);
+    return { name: plan.name, source: plan.edit ? applyEdits(source, [plan.edit]) : source };
+  };
+
+  const manager = importOf('pocketmine\\plugin\\PluginManager');
+  assert.equal(manager.name, 'PluginManager');
+  assert.match(manager.source, /use pocketmine\\player\\Player;\nuse pocketmine\\plugin\\PluginManager;\nuse pocketmine\\Server as PMServer;/);
+
+  assert.deepEqual(importOf('pocketmine\\Server'), { name: 'PMServer', source });
+  assert.deepEqual(importOf('my\\plugin\\Helper'), { name: 'Helper', source });
+  assert.deepEqual(importOf('other\\Player'), { name: '\\other\\Player', source });
+
+  const bare = `<?php
+namespace my\\plugin;
+
+class Main {}
+`;
+  const plan = indexer.planImport(indexer.parseDocument(bare, '/plugin/src/Main.php'), 'pocketmine\\Server');
+  assert.equal(applyEdits(bare, [plan.edit]), `<?php
+namespace my\\plugin;
+
+use pocketmine\\Server;
+
+class Main {}
+`);
+});
+
+test('accepting a class completion plans the name and its import', async () => {
+  const indexer = await indexPocketMine({
+    '/lib/other/Player.php': `<?php
+namespace other;
+
+class Player {
+  public function __construct(string $name) {}
+}
+`
+  });
+  const context = { ...withCursor(`<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+
+class Main {
+  public function run() : void {
+    new Plugin|
+  }
+}
+`), file: '/plugin/src/Main.php' };
+  const accept = (prefix, fullName) => {
+    const completion = indexer.getClassCompletions(prefix, context).find(item => item.importClass === fullName);
+    return indexer.planClassCompletion(context, completion.importClass, completion.snippet);
+  };
+
+  const manager = accept('Plugin', 'pocketmine\\plugin\\PluginManager');
+  assert.equal(context.source.substring(manager.start, manager.end), 'Plugin');
+  assert.equal(manager.snippet, 'PluginManager()');
+  assert.equal(applyEdits(context.source, [...manager.edits, { offset: manager.start, end: manager.end, text: manager.name }]),
+    context.source
+      .replace('use pocketmine\\player\\Player;', 'use pocketmine\\player\\Player;\nuse pocketmine\\plugin\\PluginManager;')
+      .replace('new Plugin', 'new PluginManager'));
+
+  // A class sharing the short name of an import is written qualified
+  const other = accept('Player', 'other\\Player');
+  assert.equal(other.name, '\\other\\Player');
+  assert.equal(other.snippet, '\\\\other\\\\Player(${1:$name})');
+  assert.deepEqual(other.edits, []);
+});
+
+test('organize imports drops unused imports, adds missing ones and sorts them', async () => {
+  const indexer = await indexPocketMine();
+  const source = `<?php
+namespace my\\plugin;
+
+use pocketmine\\Server;
+use function strlen;
+use pocketmine\\player\\Player as Gamer;
+use pocketmine\\player\\Player as Gamer;
+use pocketmine\\math\\Vector3;
+use const PHP_EOL;
+
+class Main {
+  public function greet(Gamer $gamer, PluginManager $manager) : int {
+    return strlen(Server::getInstance()->getName()) . PHP_EOL;
+  }
+}
+`;
+  const plan = indexer.planOrganizeImports({ source, file: '/plugin/src/Main.php' });
+
+  assert.equal(plan.removed, 2);
+  assert.equal(plan.added, 1);
+  assert.equal(applyEdits(source, [plan.edit]), `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player as Gamer;
+use pocketmine\\plugin\\PluginManager;
+use pocketmine\\Server;
+
+use function strlen;
+
+use const PHP_EOL;
+
+class Main {
+  public function greet(Gamer $gamer, PluginManager $manager) : int {
+    return strlen(Server::getInstance()->getName()) . PHP_EOL;
+  }
+}
+`);
+
+  // Code between the imports is left alone
+  assert.equal(indexer.planOrganizeImports({ source: source.replace('use const', 'const X = 1;\nuse const'), file: '/plugin/src/Main.php' }), null);
+});
+
+test('organize imports adds a block after a header followed by code', async () => {
+  const indexer = await indexPocketMine();
+  const source = `<?php
+namespace my\\plugin;
+class Main {
+  public function greet(PluginManager $manager) : void {}
+}
+`;
+  const plan = indexer.planOrganizeImports({ source, file: '/plugin/src/Main.php' });
+
+  assert.ok(applyEdits(source, [plan.edit]).startsWith(`<?php
+namespace my\\plugin;
+
+use pocketmine\\plugin\\PluginManager;
+
+class Main {
+`));
+});
+
+test('diagnostics report unknown classes, methods and constants', async () => {
+  const indexer = await indexPocketMine();
+  const source = `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+use pocketmine\\player\\Spectator;
+use vendor\\Thing;
+
+class Main extends \\Exception {
+  public function greet(Player $player, Thing $thing) : void {
+    $player->getName();
+    $player->fly();
+    $player->getServer()->getPluginManager()->registerEvents($this, $this);
+    Player::MAX_HEALTH;
+    new Spectator();
+    $this->greet($player, $thing);
+  }
+}
+`;
+  const problems = indexer.getDiagnostics({ source, file: '/plugin/src/Main.php' })
+    .map(annotation => `${annotation.row + 1}:${annotation.column}:${annotation.type}:${annotation.text}`);
+
+  assert.deepEqual(problems, [
+    '9:40:warning:Class vendor\\Thing is not in the index',
+    '11:13:warning:Method Player::fly() not found',
+    '13:12:error:Undefined constant Player::MAX_HEALTH',
+    '14:8:error:Unknown class pocketmine\\player\\Spectator'
+  ]);
+});
+
+test('a scope reader walks the document once for the scopes getScopeAt finds', async () => {
+  const indexer = await indexPocketMine();
+  const source = `<?php
+namespace my\\plugin;
+
+class First {
+  public function run(int $size = 1) : void {
+    $callback = function () { return 1; };
+  }
+}
+function helper() {}
+class Second extends First {
+  public function stop() {}
+}
+`;
+  const file = '/plugin/src/Scopes.php';
+  const summary = scope => [scope.cursorIndex, scope.functionStart, scope.currentClass?.fullName ?? null];
+  const scopeAt = indexer.createScopeReader(source, file);
+
+  for (const token of indexer.parseDocument(source, file).tokens) {
+    assert.deepEqual(summary(scopeAt(token.offset)), summary(indexer.getScopeAt(source, token.offset, file)));
+  }
+});
+
+test('PHP 8 declarations are indexed', async () => {
+  const indexer = await indexPocketMine({
+    '/plugin/src/Status.php': `<?php
+namespace my\\plugin;
+
+#[\\Attribute(\\Attribute::TARGET_CLASS)]
+enum Status : string implements \\JsonSerializable {
+  case Active = 'active';
+  case Banned = 'banned';
+
+  const DEFAULT = self::Active;
+
+  public function label() : string { return match($this) { self::Active => 'Active', default => 'Banned' }; }
+}
+`,
+    '/plugin/src/Session.php': `<?php
+namespace my\\plugin;
+
+use pocketmine\\player\\Player;
+
+final readonly class Session {
+  public function __construct(
+    #[\\SensitiveParameter] private Player $player,
+    public readonly Status $status = Status::Active,
+    int $unused = 0
+  ) {}
+
+  public function getPlayer() : never { exit; }
+}
+`
+  });
+
+  const status = indexer.classes.get('my\\plugin\\Status');
+  assert.equal(status.type, 'enum');
+  assert.ok(status.constants.get('Active').modifiers.has('case'));
+  assert.ok(!status.constants.get('DEFAULT').modifiers.has('case'));
+  assert.ok(status.methods.has('label') && status.methods.has('from') && status.methods.has('cases'));
+  assert.ok(status.properties.has('value'));
+
+  const session = indexer.classes.get('my\\plugin\\Session');
+  assert.deepEqual([...session.properties.keys()].sort(), ['player', 'status']);
+  assert.ok(session.properties.get('status').modifiers.has('readonly'));
+  assert.equal(session.methods.get('getPlayer').returnType, 'never');
+
+  const names = completionNames(indexer.getMethodCompletions('', { ...withCursor(`<?php
+namespace my\\plugin;
+
+function check(?Session $session) {
+  $session?->getPlayer();
+  $session?->status->|`), file: '/plugin/src/Main.php' }));
+  assert.ok(names.includes('label'));
+});
+
+test('quoted strings are single tokens', () => {
+  const tokens = new PhpIndexer().tokenize(`<?php $a = "say \\"{"; $b = 'it\\'s }';`);
+  const strings = tokens.filter(token => token.type === 'T_STRING_LITERAL').map(token => token.value);
+
+  assert.deepEqual(strings, [`"say \\"{"`, `'it\\'s }'`]);
+});
+
+test('heredoc and nowdoc bodies are skipped', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Test.php': `<?php
+class First {
+  public function text() : string {
+    return <<<EOT
+      function fake() {
+      EOT;
+  }
+  public function raw() : string {
+    return <<<'EOT'
+    }
+    EOT;
+  }
+}
+class Second {}
+` });
+
+  assert.deepEqual([...indexer.classes.get('First').methods.keys()], ['text', 'raw']);
+  assert.equal(indexer.classes.get('Second').line, 14);
+});
+
+test('trait members follow insteadof and as rules', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Traits.php': `<?php
+namespace my\\plugin;
+
+trait Hello {
+  public const GREETING = 'hello';
+  protected string $name = '';
+  public function hello() : string {}
+  public function wave() : void {}
+}
+
+trait World {
+  public function hello() : int {}
+}
+
+class Greeter {
+  use Hello, World {
+    Hello::hello insteadof World;
+    World::hello as protected world;
+    wave as private;
+  }
+}
+` });
+
+  const greeter = indexer.classes.get('my\\plugin\\Greeter');
+  indexer.resolveInheritance(greeter);
+
+  assert.equal(greeter.methods.get('hello').trait, 'my\\plugin\\Hello');
+  assert.equal(greeter.methods.get('hello').returnType, 'string');
+  assert.equal(greeter.methods.get('world').trait, 'my\\plugin\\World');
+  assert.ok(greeter.methods.get('world').modifiers.has('protected'));
+  assert.ok(greeter.methods.get('wave').modifiers.has('private'));
+  assert.ok(!greeter.methods.get('wave').modifiers.has('public'));
+  assert.equal(greeter.methods.get('wave').classFullName, 'my\\plugin\\Greeter');
+  assert.ok(greeter.properties.has('name'));
+  assert.ok(greeter.constants.has('GREETING'));
+  assert.ok(indexer.traits.has('my\\plugin\\Hello'));
+});
+
+test('classes take constants and abstract methods from their interfaces', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Shapes.php': `<?php
+namespace my\\plugin;
+
+interface Named {
+  public const PREFIX = 'shape';
+  public function getName() : string;
+}
+
+interface Sized {
+  public function count() : int;
+}
+
+interface Shape extends Named, Sized {
+  public function area() : float;
+}
+
+abstract class Square implements Shape {}
+` });
+
+  const square = indexer.classes.get('my\\plugin\\Square');
+  indexer.resolveInheritance(square);
+
+  assert.deepEqual(indexer.classes.get('my\\plugin\\Shape').extends, ['Named', 'Sized']);
+  assert.ok(indexer.interfaces.has('my\\plugin\\Shape'));
+  assert.ok(square.methods.get('area').modifiers.has('abstract'));
+  assert.ok(square.methods.has('getName'));
+  assert.ok(square.methods.has('count'));
+  assert.ok(square.constants.has('PREFIX'));
+});
+
+test('implement methods stubs abstract and interface methods with imports', async () => {
+  const indexer = await indexFiles({
+    '/pm/src/command/CommandExecutor.php': `<?php
+namespace pocketmine\\command;
+
+interface CommandExecutor {
+  /**
+   * Run a command
+   */
+  public function onCommand(CommandSender $sender, Command $command, string $label, array $args) : bool;
+}
+`,
+    '/plugin/src/Shape.php': `<?php
+namespace my\\plugin;
+
+abstract class Shape {
+  abstract protected function scale(float $factor = 1.0) : self;
+  public function name() : string {}
+}
+`
+  });
+  const source = `<?php
+namespace my\\plugin;
+
+use pocketmine\\command\\CommandExecutor;
+
+class Square extends Shape implements CommandExecutor {
+}
+`;
+
+  const plan = indexer.planImplementMethods({ source, offset: source.indexOf('{') + 1, file: '/plugin/src/Square.php' }, '    ');
+  assert.deepEqual(plan.methods, ['scale', 'onCommand']);
+
+  const result = applyEdits(source, plan.edits);
+  assert.equal(result, `<?php
+namespace my\\plugin;
+
+use pocketmine\\command\\Command;
+use pocketmine\\command\\CommandExecutor;
+use pocketmine\\command\\CommandSender;
+
+class Square extends Shape implements CommandExecutor {
+    protected function scale(float $factor = 1.0) : Shape {
+        // TODO: Implement scale()
+    }
+
+    /**
+     * Run a command
+     */
+    public function onCommand(CommandSender $sender, Command $command, string $label, array $args) : bool {
+        // TODO: Implement onCommand()
+    }
+}
+`);
+  assert.ok(result.startsWith('// TODO: Implement scale()', plan.cursorOffset));
+});
+
+test('implement methods reports nothing missing for a complete class', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Shape.php': `<?php
+namespace my\\plugin;
+
+abstract class Shape {
+  abstract public function area() : float;
+}
+` });
+  const source = `<?php
+namespace my\\plugin;
+
+class Square extends Shape {
+  public function area() : float {}
+}
+`;
+
+  const plan = indexer.planImplementMethods({ source, offset: source.indexOf('{') + 1, file: '/plugin/src/Square.php' });
+  assert.deepEqual(plan.methods, []);
+  assert.deepEqual(plan.edits, []);
+  assert.equal(indexer.planImplementMethods({ source: '<?php\n', offset: 6 }), null);
+});
+
+const OVERRIDE_BASE = `<?php
+namespace my\\plugin;
+
+abstract class Base {
+  public function __construct(string $name) {}
+  public function onEnable() : void {}
+  protected function describe(string ...$parts) : string {}
+  /** @return int */
+  public function count() {}
+  final public function locked() : void {}
+  private function hidden() : void {}
+  abstract public function run() : void;
+}
+`;
+
+test('override methods call the parent implementation', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Base.php': OVERRIDE_BASE });
+  const source = `<?php
+namespace my\\plugin;
+
+class Child extends Base {
+  public function onEnable() : void {}
+}
+`;
+  const context = { source, offset: source.indexOf('{') + 1, file: '/plugin/src/Child.php' };
+  const declaration = indexer.findClassDeclaration(indexer.parseDocument(source, context.file), context.offset);
+
+  // Private, final, abstract and already overridden methods are left out
+  assert.deepEqual(indexer.getOverridableMethods(declaration.classData).map(methodData => methodData.name),
+    ['__construct', 'describe', 'count']);
+
+  const plan = indexer.planOverrideMethods(context, ['__construct', 'describe', 'count'], '  ', { attribute: true });
+  const result = applyEdits(source, plan.edits);
+  assert.equal(result, `<?php
+namespace my\\plugin;
+
+class Child extends Base {
+  public function onEnable() : void {}
+
+  #[\\Override]
+  public function __construct(string $name) {
+    parent::__construct($name);
+  }
+
+  #[\\Override]
+  protected function describe(string ...$parts) : string {
+    return parent::describe(...$parts);
+  }
+
+  #[\\Override]
+  public function count() {
+    return parent::count();
+  }
+}
+`);
+  assert.ok(result.startsWith('parent::__construct', plan.cursorOffset));
+});
+
+test('override methods return the parent result unless it is known to be void', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Store.php': `<?php
+namespace my\\plugin;
+
+class Store {
+  public function save($force) {}
+  /** @return void */
+  public function clear() {}
+  public function stop() : never {}
+  public function __construct() {}
+}
+` });
+  const { methods } = indexer.classes.get('my\\plugin\\Store');
+
+  assert.equal(indexer.formatParentCall(methods.get('save')), 'return parent::save($force);');
+  assert.equal(indexer.formatParentCall(methods.get('clear')), 'parent::clear();');
+  assert.equal(indexer.formatParentCall(methods.get('stop')), 'parent::stop();');
+  assert.equal(indexer.formatParentCall(methods.get('__construct')), 'parent::__construct();');
+});
+
+test('override completions offer parent methods inside the class body', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Base.php': OVERRIDE_BASE });
+  const file = '/plugin/src/Child.php';
+  const inside = withCursor(`<?php
+namespace my\\plugin;
+
+class Child extends Base {
+  public function de|
+}
+`);
+  const outside = withCursor(`<?php
+namespace my\\plugin;
+
+function de|
+`);
+
+  assert.deepEqual(completionNames(indexer.getOverrideCompletions('de', { ...inside, file })), ['describe']);
+  assert.deepEqual(indexer.getOverrideCompletions('de', { ...outside, file }), []);
+});
+
+test('accepting an override completion replaces the declaration being typed', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Base.php': OVERRIDE_BASE });
+  const context = { ...withCursor(`<?php
+namespace my\\plugin;
+
+class Child extends Base {
+  public function onEnable() : void {}
+
+  public function de|
+}
+`), file: '/plugin/src/Child.php' };
+
+  const plan = indexer.planOverrideCompletion(context, 'describe', '  ');
+  const result = applyEdits(context.source, plan.edits);
+  assert.equal(result, `<?php
+namespace my\\plugin;
+
+class Child extends Base {
+  public function onEnable() : void {}
+
+  protected function describe(string ...$parts) : string {
+    return parent::describe(...$parts);
+  }
+}
+`);
+  assert.ok(result.startsWith('return parent::describe', plan.cursorOffset));
+  assert.equal(indexer.planOverrideCompletion(context, 'locked', '  '), null);
+});
+
+const ARENA = `<?php
+namespace my\\plugin;
+
+class Arena {
+  private string $name;
+
+  protected int $size = 16;
+  private bool $open = false;
+  public static int $count = 0;
+
+  public function getName() : string {
+    return $this->name;
+  }
+}
+`;
+
+const ARENA_ACCESSORS = `
+  public function isOpen() : bool {
+    return $this->open;
+  }
+
+  public function setOpen(bool $open) : void {
+    $this->open = $open;
+  }
+}
+`;
+
+test('accessors add a constructor, getters and setters the class lacks', async () => {
+  const indexer = await indexFiles({});
+  const context = { source: ARENA, offset: ARENA.indexOf('{') + 1, file: '/plugin/src/Arena.php' };
+  const selection = { parameters: ['name', 'size'], getters: ['name', 'open', 'count'], setters: ['open'], promote: false };
+
+  const plan = indexer.planAccessors(context, selection, '  ');
+  assert.deepEqual(plan.methods, ['__construct', 'isOpen', 'setOpen']);
+
+  const result = applyEdits(ARENA, plan.edits);
+  assert.equal(result, ARENA.replace(/}\n$/, `
+  public function __construct(string $name, int $size) {
+    $this->name = $name;
+    $this->size = $size;
+  }
+${ARENA_ACCESSORS}`));
+  assert.ok(result.startsWith('  public function __construct', plan.cursorOffset));
+});
+
+test('accessors can promote constructor properties', async () => {
+  const indexer = await indexFiles({});
+  const context = { source: ARENA, offset: ARENA.indexOf('{') + 1, file: '/plugin/src/Arena.php' };
+  const selection = { parameters: ['name', 'size'], getters: ['open'], setters: ['open'], promote: true };
+
+  const plan = indexer.planAccessors(context, selection, '  ');
+  assert.equal(applyEdits(ARENA, plan.edits), `<?php
+namespace my\\plugin;
+
+class Arena {
+  private bool $open = false;
+  public static int $count = 0;
+
+  public function getName() : string {
+    return $this->name;
+  }
+
+  public function __construct(
+    private string $name,
+    protected int $size = 16
+  ) {
+  }
+${ARENA_ACCESSORS}`);
+});
+
+const ARENA_FILE = `<?php
+namespace my\\plugin;
+
+enum Mode : string {
+  case Solo = 'solo';
+}
+
+class Arena {
+  public const MAX_PLAYERS = 16;
+  protected static int $count = 0;
+
+  public function join(Player $player, bool $spectate = false) : void {}
+  private function reset() {}
+}
+
+function arenaName(Arena $arena) : string {}
+`;
+
+test('symbol search ranks classes, functions and members', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Arena.php': ARENA_FILE });
+  const found = results => results.map(result => [result.type, result.fullName, result.line]);
+
+  assert.deepEqual(found(indexer.search('ar')), [
+    ['class', 'my\\plugin\\Arena', 8],
+    ['function', 'my\\plugin\\arenaName', 16],
+    ['constant', 'my\\plugin\\Arena::MAX_PLAYERS', 9]
+  ]);
+  assert.deepEqual(found(indexer.search('ar', 'function')), [['function', 'my\\plugin\\arenaName', 16]]);
+  assert.deepEqual(found(indexer.search('ar', null, 1)), [['class', 'my\\plugin\\Arena', 8]]);
+  assert.deepEqual(found(indexer.search('join')), [['method', 'my\\plugin\\Arena::join', 12]]);
+});
+
+test('file outline lists own members in source order', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Arena.php': ARENA_FILE });
+  const outline = indexer.getFileOutline('/plugin/src/Arena.php');
+
+  assert.equal(outline.namespace, 'my\\plugin');
+  assert.deepEqual(outline.classes.map(classData => [classData.kind, classData.name, classData.line]),
+    [['enum', 'Mode', 4], ['class', 'Arena', 8]]);
+  assert.deepEqual(outline.classes[0].members.map(member => [member.kind, member.name, member.detail]),
+    [['case', 'Solo', "'solo'"]]);
+  assert.deepEqual(outline.classes[1].members.map(member => [member.kind, member.name, member.visibility, member.static, member.detail]), [
+    ['constant', 'MAX_PLAYERS', 'public', false, '16'],
+    ['property', 'count', 'protected', true, 'int'],
+    ['method', 'join', 'public', false, '(Player $player, bool $spectate = false) : void'],
+    ['method', 'reset', 'private', false, '()']
+  ]);
+  assert.deepEqual(outline.functions, [
+    { kind: 'function', name: 'arenaName', line: 16, detail: '(Arena $arena) : string' }
+  ]);
+  assert.equal(indexer.getFileOutline('/plugin/src/Missing.php'), null);
+});
+
+const REFERENCE_FILES = {
+  '/plugin/src/Arena.php': `<?php
+namespace my\\plugin;
+
+class Arena {
+  public function join(Player $player) : void {}
+  public function leave() : void {
+    $this->join(new Player());
+  }
+}
+`,
+  '/plugin/src/Lobby.php': `<?php
+namespace my\\plugin;
+
+use my\\plugin\\Arena as Game;
+
+class Lobby {
+  public function send(Game $game) : void {
+    // $game->join() in a comment is not a reference
+    $game->join(new Player());
+    $other = new Other();
+    $other->join();
+  }
+}
+`,
+  '/plugin/src/Other.php': `<?php
+namespace my\\plugin;
+
+class Other {
+  public function join() : void {}
+}
+`
+};
+
+test('find references matches the symbol across files and aliases', async () => {
+  const indexer = await indexFiles(REFERENCE_FILES);
+  const file = '/plugin/src/Arena.php';
+  const source = REFERENCE_FILES[file];
+  const found = result => result.references.map(reference => [reference.file, reference.line, reference.column, reference.preview]);
+
+  const read = [];
+  const readSource = async filePath => {
+    read.push(filePath);
+    return REFERENCE_FILES[filePath];
+  };
+
+  const method = await indexer.findReferences({ source, offset: source.indexOf('join') + 1, file }, readSource);
+  assert.equal(method.kind, 'method');
+  assert.deepEqual(found(method), [
+    [file, 7, 11, '$this->join(new Player());'],
+    ['/plugin/src/Lobby.php', 9, 11, '$game->join(new Player());']
+  ]);
+  // The current file comes from the context, files without the name are skipped
+  assert.deepEqual(read, ['/plugin/src/Lobby.php']);
+
+  const classResult = await indexer.findReferences({ source, offset: source.indexOf('Arena') + 1, file }, readSource);
+  assert.equal(classResult.kind, 'class');
+  assert.deepEqual(found(classResult), [
+    ['/plugin/src/Lobby.php', 4, 14, 'use my\\plugin\\Arena as Game;'],
+    ['/plugin/src/Lobby.php', 7, 23, 'public function send(Game $game) : void {']
+  ]);
+
+  assert.equal(await indexer.findReferences({ source, offset: 0, file }, readSource), null);
+});
+
+test('promoted properties keep their doc comment, attributes and default', async () => {
+  const indexer = await indexFiles({});
+  const source = `<?php
+namespace my\\plugin;
+
+class Kit {
+  private string $name;
+  /** @var list<string> */
+  #[Internal]
+  private $items = [];
+  private int $price;
+}
+`;
+  const context = { source, offset: source.indexOf('{') + 1, file: '/plugin/src/Kit.php' };
+  const selection = { parameters: ['items', 'price'], getters: ['items'], setters: [], promote: true };
+
+  // Optional parameters move last, @var types become native types
+  assert.equal(applyEdits(source, indexer.planAccessors(context, selection, '  ').edits), `<?php
+namespace my\\plugin;
+
+class Kit {
+  private string $name;
+
+  public function __construct(
+    private int $price,
+    /** @var list<string> */
+    #[Internal]
+    private array $items = []
+  ) {
+  }
+
+  public function getItems() : array {
+    return $this->items;
+  }
+}
+`);
+});
+
+test('promoting the first property leaves no blank line after the brace', async () => {
+  const indexer = await indexFiles({});
+  const selection = { parameters: ['name'], getters: [], setters: [], promote: true };
+  const promote = source => {
+    const context = { source, offset: source.indexOf('{') + 1, file: '/plugin/src/C.php' };
+    return applyEdits(source, indexer.planAccessors(context, selection, '  ').edits);
+  };
+
+  assert.equal(promote(`<?php
+class C { // Arena
+  private string $name;
+
+  public function foo() {}
+}
+`), `<?php
+class C { // Arena
+  public function foo() {}
+
+  public function __construct(
+    private string $name
+  ) {
+  }
+}
+`);
+  // Windows line endings
+  assert.ok(promote('<?php\r\nclass C {\r\n  private string $name;\r\n\r\n  public function foo() {}\r\n}\r\n')
+    .startsWith('<?php\r\nclass C {\r\n  public function foo() {}\r\n'));
+});
+
+test('backtick strings are single tokens', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Test.php': `<?php
+class First {
+  public function run() : void {
+    $b = \`ls {\`;
+  }
+  public function stop() : void {}
+}
+class Second {
+  public function other() : void {}
+}
+` });
+
+  assert.deepEqual([...indexer.classes.get('First').methods.keys()], ['run', 'stop']);
+  assert.deepEqual([...indexer.classes.get('Second').methods.keys()], ['other']);
+});
+
+test('interpolated expressions may contain quotes', () => {
+  const tokens = new PhpIndexer().tokenize(`<?php $a = "x {$b["y"]} z"; $c = \`ls {$d['}']}\`; foo();`);
+  const strings = tokens.filter(token => token.type === 'T_STRING_LITERAL').map(token => token.value);
+
+  assert.deepEqual(strings, [`"x {$b["y"]} z"`, `\`ls {$d['}']}\``]);
+});
+
+test('functions imported with use function resolve to their declaration', async () => {
+  const indexer = await indexFiles({ '/plugin/src/util/functions.php': `<?php
+namespace my\\util;
+
+function greet(string $name) : string { return $name; }
+` });
+
+  const source = `<?php
+namespace my\\plugin;
+
+use function my\\util\\greet as hello;
+use const my\\util\\GREETING;
+
+hello("Steve");
+`;
+  const definition = indexer.findDefinition({ source, offset: source.indexOf('hello("') + 2, file: '/plugin/src/Main.php' });
+
+  assert.equal(definition?.fullName, 'my\\util\\greet');
+  assert.equal(indexer.parseDocument(source, '/plugin/src/Main.php').constUses.get('GREETING'), 'my\\util\\GREETING');
+});
+
+test('signature help covers functions imported with use function', async () => {
+  const indexer = await indexFiles({ '/plugin/src/util/functions.php': `<?php
+namespace my\\util;
+
+function greet(string $name, int ...$times) : string { return $name; }
+` });
+
+  const source = `<?php
+namespace my\\plugin;
+
+use function my\\util\\greet;
+
+greet("Steve", 1, `;
+  const help = indexer.getSignatureHelp({ source, offset: source.length, file: '/plugin/src/Main.php' });
+
+  assert.equal(help?.name, 'greet');
+  assert.deepEqual(help.parameters.map(parameter => parameter.name), ['name', 'times']);
+  assert.equal(help.activeParameter, 1);
+  assert.equal(help.returnType, 'string');
+});
+
+test('renaming a parent class drops the members it passed on', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Base.php': `<?php
+namespace my\\plugin;
+
+class Base {
+  public function greet() : void {}
+}
+` });
+  await indexer.updateFile('/plugin/src/Child.php', `<?php
+namespace my\\plugin;
+
+class Child extends Base {}
+`, false);
+  const child = indexer.classes.get('my\\plugin\\Child');
+  assert.ok(child.methods.has('greet'));
+
+  await indexer.updateFile('/plugin/src/Base.php', `<?php
+namespace my\\plugin;
+
+class Renamed {
+  public function greet() : void {}
+}
+`, false);
+  assert.ok(!child.methods.has('greet'));
+
+  await indexer.updateFile('/plugin/src/Base.php', `<?php
+namespace my\\plugin;
+
+class Base {
+  public function wave() : void {}
+}
+`, false);
+  assert.ok(child.methods.has('wave'));
+});
+
+test('enum cases complete the members of their enum', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Color.php': `<?php
+namespace my\\plugin;
+
+enum Color : string {
+  case Red = 'red';
+  case Blue = 'blue';
+
+  public function label() : string { return ucfirst($this->value); }
+  public static function default() : self { return self::Red; }
+}
+` });
+
+  const source = `<?php
+namespace my\\plugin;
+
+Color::Red->`;
+  const names = indexer.getMethodCompletions('', { source, offset: source.length, file: '/plugin/src/Main.php' })
+    .map(completion => completion.caption);
+
+  assert.ok(names.includes('name'));
+  assert.ok(names.includes('value'));
+  assert.ok(names.some(name => name.startsWith('label')));
+  assert.ok(!names.some(name => /^(cases|from|tryFrom)\b/.test(name)));
+});
+
+test('member completion leaves out constructors and abstract parent methods', async () => {
+  const indexer = await indexFiles({ '/plugin/src/Base.php': `<?php
+namespace my\\plugin;
+
+abstract class Base {
+  public function __construct() {}
+  abstract protected function run() : void;
+  protected function stop() : void {}
+}
+` });
+  const file = '/plugin/src/Child.php';
+  const prefix = `<?php
+namespace my\\plugin;
+
+class Child extends Base {
+  protected function run() : void {
+`;
+
+  const instance = completionNames(indexer.getMethodCompletions('', { ...withCursor(`${prefix}    $this->|`), file }));
+  assert.ok(instance.includes('run') && instance.includes('stop'));
+  assert.ok(!instance.includes('__construct'));
+
+  const parent = completionNames(indexer.getStaticMethodCompletions('', { ...withCursor(`${prefix}    parent::|`), file }));
+  assert.ok(parent.includes('stop') && parent.includes('__construct'));
+  assert.ok(!parent.includes('run'));
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhpIndexer } from '../src/phpIndexer.js';
+import { PluginScaffold } from '../src/pluginScaffold.js';
+
+const OPTIONS = { name: 'MyPlugin', author: 'Steve', namespace: 'steve\\myplugin', api: '5.0.0', config: true };
+
+/**
+ * Build a scaffold on top of an index of PHP sources
+ * @param {Object<string, string>} files PHP sources by path
+ * @returns {Promise<PluginScaffold>} Scaffold
+ */
+async function scaffoldFor(files = {}) {
+  const indexer = new PhpIndexer();
+  for (const [filePath, source] of Object.entries(files)) {
+    await indexer.updateFile(filePath, source, false);
+  }
+  return new PluginScaffold(indexer);
+}
+
+test('a new plugin follows the indexed PluginBase', async () => {
+  const scaffold = await scaffoldFor({
+    '/pm/src/plugin/PluginBase.php': `<?php
+namespace pocketmine\\plugin;
+
+abstract class PluginBase {
+  protected function onEnable() : void {}
+  protected function onDisable() : void {}
+  public function saveDefaultConfig() : bool { return true; }
+}
+`
+  });
+  const { files, mainPath, mainLine, warnings } = scaffold.generate(OPTIONS);
+
+  assert.deepEqual(files.map(file => file.path), ['plugin.yml', 'src/steve/myplugin/Main.php', 'resources/config.yml']);
+  assert.equal(mainPath, 'src/steve/myplugin/Main.php');
+  assert.deepEqual(warnings, []);
+  assert.equal(files[0].content, 'name: MyPlugin\nmain: steve\\myplugin\\Main\nversion: 1.0.0\napi: 5.0.0\nauthor: Steve\n');
+
+  const main = files[1].content.split('\n');
+  assert.ok(main.includes('class Main extends PluginBase {'));
+  assert.ok(main.includes('\tprotected function onEnable() : void {'));
+  assert.equal(main[mainLine - 1], '\t\t$this->saveDefaultConfig();');
+});
+
+test('plugin options are checked', async () => {
+  const scaffold = await scaffoldFor();
+
+  assert.deepEqual(scaffold.validateOptions(OPTIONS), []);
+  assert.equal(scaffold.validateOptions({ ...OPTIONS, namespace: 'my\\1plugin', api: '5' }).length, 2);
+  assert.throws(() => scaffold.generate({ ...OPTIONS, name: 'My/Plugin' }), /Plugin name may only contain/);
+  assert.match(scaffold.generate(OPTIONS).warnings[0], /PluginBase is not indexed/);
+});
+
+test('plugin.yml quotes names YAML would read differently', async () => {
+  const scaffold = await scaffoldFor();
+  const pluginYml = options => scaffold.generate({ ...OPTIONS, ...options }).files[0].content.split('\n');
+
+  assert.equal(pluginYml({ name: 'yes' })[0], 'name: "yes"');
+  assert.equal(pluginYml({ name: '1.0' })[0], 'name: "1.0"');
+  assert.equal(pluginYml({ author: 'Steve: "the builder"' })[4], 'author: "Steve: \\"the builder\\""');
+  assert.equal(pluginYml({})[0], 'name: MyPlugin');
+  assert.deepEqual(scaffold.validateOptions({ ...OPTIONS, name: '' }), ['Plugin name is required']);
+});
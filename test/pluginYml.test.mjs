@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhpIndexer } from '../src/phpIndexer.js';
+import { PluginYml } from '../src/pluginYml.js';
+
+/**
+ * Build plugin.yml support on top of an index of PHP sources
+ * @param {Object<string, string>} files PHP sources by path
+ * @returns {Promise<PluginYml>} plugin.yml support
+ */
+async function pluginYmlFor(files = {}) {
+  const indexer = new PhpIndexer();
+  for (const [filePath, source] of Object.entries(files)) {
+    await indexer.updateFile(filePath, source, false);
+  }
+  return new PluginYml(indexer);
+}
+
+const PLUGIN_BASE = `<?php
+namespace pocketmine\\plugin;
+
+abstract class PluginBase {}
+`;
+
+const MAIN = `<?php
+namespace my\\plugin;
+
+use pocketmine\\plugin\\PluginBase;
+
+class Main extends PluginBase {}
+
+class Helper {}
+`;
+
+test('plugin.yml keys and main classes are completed', async () => {
+  const pluginYml = await pluginYmlFor({ '/pm/src/plugin/PluginBase.php': PLUGIN_BASE, '/plugin/src/Main.php': MAIN });
+  const complete = (source, row, column) => pluginYml.getCompletions(source, { row, column }, '')
+    .map(completion => completion.caption);
+
+  const keys = complete('name: MyPlugin\nve', 1, 2);
+  assert.ok(keys.includes('version') && keys.includes('main'));
+  assert.ok(!keys.includes('name'));
+
+  assert.deepEqual(complete('commands:\n  hello:\n    ', 2, 4).sort(), ['aliases', 'description', 'permission', 'permission-message', 'usage']);
+  assert.deepEqual(complete('main: my\\', 0, 9), ['my\\plugin\\Main']);
+  assert.deepEqual(complete('load: ', 0, 6), ['STARTUP', 'POSTWORLD']);
+});
+
+test('plugin.yml problems are reported', async () => {
+  const pluginYml = await pluginYmlFor({ '/pm/src/plugin/PluginBase.php': PLUGIN_BASE, '/plugin/src/Main.php': MAIN });
+  const problems = source => pluginYml.validate(source).map(annotation => `${annotation.row}:${annotation.type}:${annotation.text}`);
+
+  assert.deepEqual(problems('name: MyPlugin\nmain: my\\plugin\\Main\nversion: 1.0.0\napi: 5.0.0\n'), []);
+  assert.deepEqual(problems(`name: My:Plugin
+main: my\\plugin\\Helper
+version: 1.0.0
+load: LATER
+colour: red
+permissions:
+  my.plugin:
+    default: everyone
+`), [
+    '4:warning:Unknown key "colour"',
+    '7:error:Invalid permission default "everyone"',
+    '0:error:Missing required key "api"',
+    '0:error:Plugin name may only contain letters, digits, spaces, dots, dashes and underscores',
+    '3:error:Invalid load order "LATER", expected STARTUP or POSTWORLD',
+    '1:warning:Main class "my\\plugin\\Helper" does not extend PluginBase'
+  ]);
+});
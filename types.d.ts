@@ -87,6 +87,11 @@ interface AcodeAPI {
      * Read file content
      */
     readFile: (path: string) => Promise<string>;
+    
+    /**
+     * Get file size and modification time
+     */
+    stat?: (path: string) => Promise<FileEntry>;
   };
 }
 
@@ -163,6 +168,16 @@ interface FileEntry {
    * Whether the entry is a directory
    */
   isDirectory: boolean;
+  
+  /**
+   * File size in bytes, when provided
+   */
+  length?: number;
+  
+  /**
+   * Modification time in milliseconds, when provided
+   */
+  lastModified?: number;
 }
 
 /**